@@ -119,4 +119,8 @@ class SpinBox extends ShadowHelperMixin(HTMLElement) {
   }
 }
 
-customElements.define('spin-box', SpinBox);
+// Another step of the progression may already have defined "spin-box" on
+// the same page.
+if (!customElements.get('spin-box')) {
+  customElements.define('spin-box', SpinBox);
+}
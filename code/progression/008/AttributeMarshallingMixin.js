@@ -0,0 +1,219 @@
+import * as internal from './internal.js';
+
+/**
+ * The properties the page set on each element before it was upgraded (see
+ * upgradeProperties), while the element is being upgraded.
+ */
+const elementUpgradedProperties = new WeakMap();
+
+/**
+ * The elements that are writing a property's value to its attribute.
+ */
+const reflectingElements = new WeakSet();
+
+/**
+ * Converters between attribute strings and typed property values. A
+ * property declaration names one of these with its "type" key.
+ */
+const converters = {
+  boolean: {
+    fromAttribute: (value) => value !== null,
+    toAttribute: (value) => value ? '' : null
+  },
+  json: {
+    // Text that isn't valid JSON converts to undefined, which we ignore.
+    fromAttribute: (value) => {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return undefined;
+      }
+    },
+    toAttribute: (value) => JSON.stringify(value)
+  },
+  number: {
+    fromAttribute: (value) => parseFloat(value),
+    toAttribute: (value) => String(value)
+  },
+  string: {
+    fromAttribute: (value) => value,
+    toAttribute: (value) => String(value)
+  }
+};
+
+/**
+ * AttributeMarshallingMixin maps attributes to properties so components
+ * don't each have to write their own attributeChangedCallback.
+ *
+ * A component declares its public properties in a static "properties"
+ * getter, for example:
+ *
+ *   static get properties() {
+ *     return Object.assign({}, super.properties, {
+ *       squareSize: { type: 'number', reflect: true }
+ *     });
+ *   }
+ *
+ * The mixin derives observedAttributes from those declarations, converts
+ * the kebab-case attribute name ("square-size") to the camelCase property
+ * name ("squareSize"), and converts the attribute's string value to the
+ * declared type before passing it to the property setter. Text that can't
+ * be converted, like invalid JSON, is ignored. Removing the attribute sets
+ * the property back to its value in the component's default state, or to
+ * null if the default state doesn't have one.
+ *
+ * A property declared with "reflect: true" has its value written back to
+ * the attribute when the state member of the same name is rendered. This
+ * relies on ReactiveMixin's render(changed).
+ *
+ * The mixin also takes care of properties the page set before the
+ * component was defined -- say, because the component's script is loaded
+ * lazily. Until then the element is a plain HTMLElement, so such a
+ * property becomes an ordinary property of the element, and would hide
+ * the component's own getter and setter for good. When the element is
+ * upgraded, we remove each such property and pass its value to the real
+ * setter. The browser replays the element's attributes itself, through
+ * attributeChangedCallback; if the page set both a property and its
+ * attribute, the property wins, as it would if the component had been
+ * defined all along and the page had set the property last.
+ */
+export const AttributeMarshallingMixin = (Base) => {
+  return class AttributeMarshalling extends Base {
+    constructor() {
+      // Always call super first in constructor
+      super();
+
+      elementUpgradedProperties.set(this, upgradeProperties(this));
+    }
+
+    static get properties() {
+      return super.properties || {};
+    }
+
+    static get observedAttributes() {
+      const baseAttributes = super.observedAttributes || [];
+      const propertyAttributes = Object.keys(this.properties).map(
+        propertyToAttributeName
+      );
+      return [...new Set([...baseAttributes, ...propertyAttributes])];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (super.attributeChangedCallback) {
+        super.attributeChangedCallback(name, oldValue, newValue);
+      }
+
+      // Ignore the attribute changes we make ourselves while reflecting
+      // a property; the property already has the right value.
+      if (reflectingElements.has(this)) {
+        return;
+      }
+
+      const propertyName = attributeToPropertyName(name);
+      const declaration = this.constructor.properties[propertyName];
+      if (!declaration) {
+        return;
+      }
+
+      // While the element is being upgraded, let a property the page set
+      // beforehand take precedence over the attribute.
+      if (elementUpgradedProperties.get(this).has(propertyName)) {
+        return;
+      }
+
+      // Removing an attribute turns a boolean property off, and puts any
+      // other property back to its default.
+      const type = declaration.type || 'string';
+      if (newValue === null && type !== 'boolean') {
+        this[propertyName] = defaultValue(this, propertyName);
+        return;
+      }
+
+      const value = converters[type].fromAttribute(newValue);
+      if (value !== undefined) {
+        this[propertyName] = value;
+      }
+    }
+
+    [internal.render](changed) {
+      super[internal.render](changed);
+
+      const properties = this.constructor.properties;
+      Object.keys(properties).forEach((propertyName) => {
+        const declaration = properties[propertyName];
+        if (declaration.reflect && changed[propertyName]) {
+          reflectAttribute(this, propertyName, declaration);
+        }
+      });
+    }
+  };
+}
+
+//
+// Return the property's value in the component's default state (see
+// ReactiveMixin), or null if the default state doesn't include it.
+//
+function defaultValue(element, propertyName) {
+  const defaultState = element[internal.defaultState] || {};
+  return propertyName in defaultState ? defaultState[propertyName] : null;
+}
+
+//
+// Write the current value of the named property to its attribute.
+//
+function reflectAttribute(element, propertyName, declaration) {
+  const attributeName = propertyToAttributeName(propertyName);
+  const value = element[propertyName];
+  const type = declaration.type || 'string';
+  const attributeValue = value === null || value === undefined ?
+    null :
+    converters[type].toAttribute(value);
+
+  reflectingElements.add(element);
+  if (attributeValue === null) {
+    element.removeAttribute(attributeName);
+  } else {
+    element.setAttribute(attributeName, attributeValue);
+  }
+  reflectingElements.delete(element);
+}
+
+//
+// Pass the values of any declared properties the page set on the element
+// before it was upgraded to the component's setters. Returns the names of
+// those properties, which are only of interest during the upgrade: the
+// set is emptied once the browser has finished upgrading the element.
+//
+function upgradeProperties(element) {
+  const upgradedProperties = new Set();
+  Object.keys(element.constructor.properties).forEach((propertyName) => {
+    if (Object.prototype.hasOwnProperty.call(element, propertyName)) {
+      const value = element[propertyName];
+      delete element[propertyName];
+      element[propertyName] = value;
+      upgradedProperties.add(propertyName);
+    }
+  });
+  if (upgradedProperties.size > 0) {
+    // The browser calls attributeChangedCallback for the element's
+    // attributes synchronously after the constructor.
+    Promise.resolve().then(() => upgradedProperties.clear());
+  }
+  return upgradedProperties;
+}
+
+// Convert "kabob-case" to "camelCase"
+function attributeToPropertyName(attributeName) {
+  const hyphenRegEx = /-([a-z])/g;
+  return attributeName.replace(hyphenRegEx, (match) =>
+    match[1].toUpperCase()
+  );
+}
+
+// Convert "camelCase" to "kabob-case"
+function propertyToAttributeName(propertyName) {
+  const upperRegEx = /([A-Z])/g;
+  return propertyName.replace(upperRegEx, (match) =>
+    `-${match.toLowerCase()}`
+  );
+}
@@ -0,0 +1,138 @@
+import * as internal from './internal.js';
+
+// How long to wait after the press before starting to repeat.
+const initialDelay = 500;
+
+// The interval between the first repeats, which then speeds up by
+// the acceleration factor each time down to the minimum interval.
+const initialInterval = 200;
+const acceleration = 0.8;
+const minimumInterval = 30;
+
+/**
+ * The repeat for each component: the element being held down, if any, the
+ * callback for its release, the timeout for the next repeat, and the
+ * function that stops repeating, which is also our listener for the events
+ * that end a press.
+ */
+const repeats = new WeakMap();
+
+/**
+ * AutoRepeatMixin gives press-and-hold behavior to elements in a
+ * component's shadow tree. It uses pointer events, so mouse, touch and pen
+ * all work. Pressing the element performs the action once; holding it
+ * repeats the action, slowly at first and then faster.
+ *
+ * The element captures the pointer while it's pressed, so releasing the
+ * pointer anywhere, even after dragging off the element, stops the repeat.
+ * Repeating also stops on pointercancel (e.g., the browser takes over a
+ * touch to scroll), when the component loses focus or the window is
+ * deactivated, and when the component is removed from the page. For that
+ * last case the mixin relies on ConnectionSignalMixin, so apply it outside
+ * of that mixin.
+ *
+ * The action and release callback run on behalf of the user, so the state
+ * changes they make raise change events (see ReactiveMixin).
+ */
+export const AutoRepeatMixin = (Base) => {
+  return class AutoRepeat extends Base {
+    constructor() {
+      // Always call super first in constructor
+      super();
+
+      const stop = () => stopRepeating(this);
+      repeats.set(this, {
+        element: null,
+        release: null,
+        stop,
+        timeout: null
+      });
+
+      this.addEventListener('blur', stop);
+    }
+
+    //
+    // Perform the action when the element is pressed, and repeat it while
+    // the element is held down.
+    //
+    [internal.autoRepeat](element, action, release) {
+      if (super[internal.autoRepeat]) {
+        super[internal.autoRepeat](element, action, release);
+      }
+
+      const repeat = repeats.get(this);
+      element.addEventListener('pointerdown', (event) => {
+        // Only respond to the primary button.
+        if (event.button !== 0) {
+          return;
+        }
+        stopRepeating(this);
+
+        if (element.setPointerCapture) {
+          element.setPointerCapture(event.pointerId);
+        }
+        repeat.element = element;
+        repeat.release = release || null;
+
+        // Stop if the window is deactivated or we're removed from the page
+        // during the press.
+        const signal = this[internal.connectionSignal];
+        window.addEventListener('blur', repeat.stop, { signal });
+        signal.addEventListener('abort', repeat.stop, { once: true });
+
+        performAction(this, action);
+        scheduleRepeat(this, action, initialDelay, initialInterval);
+      });
+
+      element.addEventListener('pointerup', repeat.stop);
+      element.addEventListener('pointercancel', repeat.stop);
+      element.addEventListener('lostpointercapture', repeat.stop);
+    }
+  };
+}
+
+//
+// Perform the action after the given delay, then keep performing it at an
+// increasing rate until something stops us.
+//
+function scheduleRepeat(element, action, delay, interval) {
+  const repeat = repeats.get(element);
+  repeat.timeout = setTimeout(() => {
+    // A button that's been disabled, e.g. on reaching a limit, may not get
+    // the pointerup that would stop us, so we check for that here.
+    if (repeat.element.disabled) {
+      stopRepeating(element);
+      return;
+    }
+    performAction(element, action);
+    const nextInterval = Math.max(interval * acceleration, minimumInterval);
+    scheduleRepeat(element, action, interval, nextInterval);
+  }, delay);
+}
+
+function performAction(element, action) {
+  element[internal.raiseChangeEvents] = true;
+  action();
+  element[internal.raiseChangeEvents] = false;
+}
+
+function stopRepeating(element) {
+  const repeat = repeats.get(element);
+  if (repeat.timeout !== null) {
+    clearTimeout(repeat.timeout);
+    repeat.timeout = null;
+  }
+  const release = repeat.release;
+  const pressed = repeat.element !== null;
+  repeat.element = null;
+  repeat.release = null;
+  window.removeEventListener('blur', repeat.stop);
+  const signal = element[internal.connectionSignal];
+  if (signal) {
+    signal.removeEventListener('abort', repeat.stop);
+  }
+
+  if (pressed && release) {
+    performAction(element, release);
+  }
+}
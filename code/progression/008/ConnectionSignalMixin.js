@@ -0,0 +1,65 @@
+import * as internal from './internal.js';
+
+/**
+ * The AbortController for each element's current connection to the page.
+ * An element has no entry while it isn't connected.
+ */
+const connectionControllers = new WeakMap();
+
+/**
+ * ConnectionSignalMixin gives a component an AbortSignal for each time
+ * it's connected to the page, as "this[internal.connectionSignal]". The
+ * signal is aborted when the component is disconnected, and a new one
+ * takes its place if the component is connected again.
+ *
+ * Anything a component sets up that outlives a render -- listeners on the
+ * window or document, timers, observers -- can then be tied to the
+ * connection, so it can't outlast the component's time on the page:
+ *
+ *   window.addEventListener('resize', handler, {
+ *     signal: this[internal.connectionSignal]
+ *   });
+ *
+ *   const timeout = setTimeout(callback, delay);
+ *   this[internal.connectionSignal].addEventListener('abort', () =>
+ *     clearTimeout(timeout)
+ *   );
+ *
+ * A component that sets such things up on connection should do so each
+ * time it's connected, since the last connection's signal has aborted.
+ * The signal is null while the component isn't connected.
+ *
+ * The new signal is in place before the rest of the component handles
+ * connectedCallback, so the component can use it when it renders.
+ */
+export const ConnectionSignalMixin = (Base) => {
+  return class ConnectionSignal extends Base {
+    connectedCallback() {
+      const previous = connectionControllers.get(this);
+      if (previous) {
+        previous.abort();
+      }
+      connectionControllers.set(this, new AbortController());
+
+      if (super.connectedCallback) {
+        super.connectedCallback();
+      }
+    }
+
+    disconnectedCallback() {
+      if (super.disconnectedCallback) {
+        super.disconnectedCallback();
+      }
+      const controller = connectionControllers.get(this);
+      if (controller) {
+        controller.abort();
+        connectionControllers.delete(this);
+      }
+    }
+
+    get [internal.connectionSignal]() {
+      const controller = connectionControllers.get(this);
+      return controller ? controller.signal : null;
+    }
+  };
+}
@@ -0,0 +1,174 @@
+import * as internal from './internal.js';
+
+/**
+ * The ElementInternals for each element. Keeping them here rather than on
+ * the element keeps them out of the component's public API.
+ */
+const elementInternals = new WeakMap();
+
+/**
+ * FormElementMixin makes a component a form-associated custom element. The
+ * component's "value" is submitted with its form under the component's
+ * "name" attribute, the component takes part in form reset and in the
+ * browser's form state restore, and it reports its validity through the
+ * standard constraint validation API.
+ *
+ * The mixin expects the component to have a "value" property, and relies
+ * on ReactiveMixin to update the form value and validity whenever the
+ * component renders.
+ */
+export const FormElementMixin = (Base) => {
+  return class FormElement extends Base {
+    // Tell the browser this element takes part in forms.
+    static get formAssociated() {
+      return true;
+    }
+
+    static get properties() {
+      return Object.assign({}, super.properties, {
+        required: { type: 'boolean' }
+      });
+    }
+
+    constructor() {
+      // Always call super first in constructor
+      super();
+
+      // Browsers without form support in ElementInternals still get a
+      // working component; it just doesn't take part in forms.
+      if (this.attachInternals) {
+        const internals = this.attachInternals();
+        if (internals.setFormValue) {
+          elementInternals.set(this, internals);
+        }
+      }
+    }
+
+    get [internal.defaultState]() {
+      return Object.assign(super[internal.defaultState], {
+        disabled: false,
+        required: false
+      });
+    }
+
+    get form() {
+      const internals = elementInternals.get(this);
+      return internals ? internals.form : null;
+    }
+
+    //
+    // Called by the browser when a disabled <fieldset> ancestor, or the
+    // element's own "disabled" attribute, changes the element's disabled
+    // state.
+    //
+    formDisabledCallback(disabled) {
+      if (super.formDisabledCallback) {
+        super.formDisabledCallback(disabled);
+      }
+      this[internal.setState]({ disabled });
+    }
+
+    //
+    // Called by the browser when the element's form is reset. Like a
+    // native input, we go back to the value given by the "value" attribute,
+    // or to the default state if there is no such attribute.
+    //
+    formResetCallback() {
+      if (super.formResetCallback) {
+        super.formResetCallback();
+      }
+      const valueAttribute = this.getAttribute('value');
+      this.value = valueAttribute !== null ?
+        valueAttribute :
+        this[internal.defaultState].value;
+    }
+
+    //
+    // Called by the browser when it restores the page, e.g., on navigating
+    // back to it. The state is the form value we last gave the browser.
+    //
+    formStateRestoreCallback(state, mode) {
+      if (super.formStateRestoreCallback) {
+        super.formStateRestoreCallback(state, mode);
+      }
+      this.value = state;
+    }
+
+    get name() {
+      return this.getAttribute('name');
+    }
+    set name(name) {
+      this.setAttribute('name', name);
+    }
+
+    [internal.render](changed) {
+      super[internal.render](changed);
+
+      const internals = elementInternals.get(this);
+      if (!internals) {
+        return;
+      }
+
+      const value = this.value;
+      internals.setFormValue(isEmptyValue(value) ? null : String(value));
+
+      const { flags, message } = this[internal.validate]();
+      internals.setValidity(flags, message);
+    }
+
+    get required() {
+      return this[internal.state].required;
+    }
+    set required(required) {
+      this[internal.setState]({ required });
+    }
+
+    //
+    // The base validation only knows about "required". Components extend
+    // this with their own checks.
+    //
+    [internal.validate]() {
+      if (this[internal.state].required && isEmptyValue(this.value)) {
+        return {
+          flags: { valueMissing: true },
+          message: 'Please fill out this field.'
+        };
+      }
+      return { flags: {}, message: '' };
+    }
+
+    //
+    // The standard constraint validation API, delegated to ElementInternals.
+    //
+    checkValidity() {
+      const internals = elementInternals.get(this);
+      return internals ? internals.checkValidity() : true;
+    }
+
+    reportValidity() {
+      const internals = elementInternals.get(this);
+      return internals ? internals.reportValidity() : true;
+    }
+
+    get validationMessage() {
+      const internals = elementInternals.get(this);
+      return internals ? internals.validationMessage : '';
+    }
+
+    get validity() {
+      const internals = elementInternals.get(this);
+      return internals ? internals.validity : null;
+    }
+
+    get willValidate() {
+      const internals = elementInternals.get(this);
+      return internals ? internals.willValidate : false;
+    }
+  };
+}
+
+// A value that a form should treat as "no value".
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' ||
+    Number.isNaN(value);
+}
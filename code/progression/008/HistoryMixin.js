@@ -0,0 +1,208 @@
+import * as internal from './internal.js';
+
+// The most entries we keep for undoing.
+const maximumEntries = 100;
+
+/**
+ * The undo history for each element: the entries for undoing and redoing,
+ * the entry that changes are being merged into, if any, the recorded
+ * members as of the last render, and the values undo or redo is
+ * restoring, which shouldn't be recorded as a new change.
+ */
+const histories = new WeakMap();
+
+/**
+ * HistoryMixin gives a component undo and redo for the changes the user
+ * makes to its state. A component opts in by applying the mixin and
+ * naming the state members to record in a static "historyKeys" getter.
+ * Each member needs a public property of the same name:
+ *
+ *   static get historyKeys() {
+ *     return ['value'];
+ *   }
+ *
+ * Only changes the user makes are recorded (see raiseChangeEvents in
+ * internal.js). As with a native input, a change the page makes to a
+ * recorded member clears the history instead, since the changes being
+ * undone may no longer make sense.
+ *
+ * Changes the user makes in a row are merged into one entry until the
+ * component calls "checkpoint", typically when the user commits a change.
+ * So holding down a button that repeats a change undoes as one step, not
+ * one step per repeat.
+ *
+ * The page can call undo() and redo(), and check canUndo and canRedo. The
+ * user can press Ctrl+Z (Command+Z on a Mac) to undo, and Ctrl+Y or
+ * Ctrl+Shift+Z to redo; for that the mixin relies on KeyboardMixin, so
+ * apply it outside of that mixin.
+ *
+ * Undoing restores the recorded members through the component's property
+ * setters, so the component checks the restored values as it would any
+ * others. If the page has since lowered a SpinBox's maximum, say, undoing
+ * can't take the value back above it.
+ */
+export const HistoryMixin = (Base) => {
+  return class History extends Base {
+    constructor() {
+      // Always call super first in constructor
+      super();
+
+      histories.set(this, {
+        openEntry: null,
+        redoEntries: [],
+        restoring: null,
+        snapshot: null,
+        undoEntries: []
+      });
+    }
+
+    static get historyKeys() {
+      return super.historyKeys || [];
+    }
+
+    get canRedo() {
+      return histories.get(this).redoEntries.length > 0;
+    }
+
+    get canUndo() {
+      return histories.get(this).undoEntries.length > 0;
+    }
+
+    //
+    // End the entry that changes are being merged into, so the next change
+    // starts a new one.
+    //
+    [internal.checkpoint]() {
+      if (super[internal.checkpoint]) {
+        super[internal.checkpoint]();
+      }
+      const history = histories.get(this);
+      const entry = history.openEntry;
+      history.openEntry = null;
+      if (entry && sameValues(entry.before, entry.after)) {
+        // The user changed things back again; there's nothing to undo.
+        history.undoEntries.pop();
+      }
+    }
+
+    [internal.keydown](event) {
+      if (super[internal.keydown] && super[internal.keydown](event)) {
+        return true;
+      }
+
+      const commandKey = event.ctrlKey || event.metaKey;
+      if (!commandKey || event.altKey) {
+        return false;
+      }
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        return this.undo();
+      }
+      if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        return this.redo();
+      }
+      return false;
+    }
+
+    //
+    // Reapply the last change undone. Returns true if there was one.
+    //
+    redo() {
+      this[internal.checkpoint]();
+      const history = histories.get(this);
+      const entry = history.redoEntries.pop();
+      if (!entry) {
+        return false;
+      }
+      history.undoEntries.push(entry);
+      restore(this, entry.after);
+      return true;
+    }
+
+    [internal.render](changed) {
+      super[internal.render](changed);
+
+      const keys = this.constructor.historyKeys;
+      if (!keys.some((key) => changed[key])) {
+        return;
+      }
+      const history = histories.get(this);
+      const values = recordedValues(this, keys);
+      const previous = history.snapshot;
+      history.snapshot = values;
+
+      if (history.restoring) {
+        // Undo or redo made this change.
+        history.restoring = null;
+      } else if (previous === null) {
+        // The first render; there's nothing before it to go back to.
+      } else if (this[internal.raiseChangeEvents]) {
+        if (history.openEntry) {
+          history.openEntry.after = values;
+        } else {
+          history.openEntry = { before: previous, after: values };
+          history.undoEntries.push(history.openEntry);
+          if (history.undoEntries.length > maximumEntries) {
+            history.undoEntries.shift();
+          }
+        }
+        history.redoEntries = [];
+      } else {
+        // The page changed the state.
+        history.undoEntries = [];
+        history.redoEntries = [];
+        history.openEntry = null;
+      }
+    }
+
+    //
+    // Go back to the state before the last change. Returns true if there
+    // was a change to undo.
+    //
+    undo() {
+      this[internal.checkpoint]();
+      const history = histories.get(this);
+      const entry = history.undoEntries.pop();
+      if (!entry) {
+        return false;
+      }
+      history.redoEntries.push(entry);
+      restore(this, entry.before);
+      return true;
+    }
+  };
+}
+
+// The values of the recorded state members.
+function recordedValues(element, keys) {
+  const values = {};
+  keys.forEach((key) => {
+    values[key] = element[internal.state][key];
+  });
+  return values;
+}
+
+//
+// Put the recorded state members back to the given values, through the
+// properties of the same names. If that changes anything, the next render
+// knows not to record it.
+//
+function restore(element, values) {
+  const keys = Object.keys(values);
+  const current = recordedValues(element, keys);
+  const history = histories.get(element);
+  history.restoring = values;
+  keys.forEach((key) => {
+    element[key] = values[key];
+  });
+  if (sameValues(current, recordedValues(element, keys))) {
+    // Nothing changed, so there won't be a render to clear this.
+    history.restoring = null;
+  }
+}
+
+function sameValues(values1, values2) {
+  return Object.keys(values1).every((key) =>
+    Object.is(values1[key], values2[key])
+  );
+}
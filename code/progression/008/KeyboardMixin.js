@@ -0,0 +1,95 @@
+import * as internal from './internal.js';
+
+/**
+ * The method KeyboardMixin calls for each key it knows about.
+ */
+const keyMethods = {
+  ArrowDown: internal.keyArrowDown,
+  ArrowUp: internal.keyArrowUp,
+  End: internal.keyEnd,
+  Home: internal.keyHome,
+  PageDown: internal.keyPageDown,
+  PageUp: internal.keyPageUp
+};
+
+/**
+ * KeyboardMixin listens for keydown events on the component, including
+ * those that come from elements in its shadow tree, and hands them to the
+ * component's "keydown" method. By default that dispatches the event to a
+ * method for the particular key, e.g. "keyArrowUp". If the method returns
+ * true, the key was handled and we stop the browser's default behavior.
+ *
+ * Components with keys of their own can override "keydown" itself, and
+ * call super[internal.keydown](event) for the keys they don't handle.
+ *
+ * Keys are pressed by the user, so any state changes the key methods make
+ * raise change events (see ReactiveMixin).
+ */
+export const KeyboardMixin = (Base) => {
+  return class Keyboard extends Base {
+    constructor() {
+      // Always call super first in constructor
+      super();
+
+      this.addEventListener('keydown', (event) => {
+        this[internal.raiseChangeEvents] = true;
+        const handled = this[internal.keydown](event);
+        this[internal.raiseChangeEvents] = false;
+        if (handled) {
+          event.preventDefault();
+          event.stopPropagation();
+        }
+      });
+    }
+
+    [internal.keydown](event) {
+      if (super[internal.keydown] && super[internal.keydown](event)) {
+        return true;
+      }
+
+      // Leave key combinations to the browser and the page.
+      if (event.altKey || event.ctrlKey || event.metaKey) {
+        return false;
+      }
+
+      const method = keyMethods[event.key];
+      return method ? this[method]() : false;
+    }
+
+    [internal.keyArrowDown]() {
+      return super[internal.keyArrowDown] ?
+        super[internal.keyArrowDown]() :
+        false;
+    }
+
+    [internal.keyArrowUp]() {
+      return super[internal.keyArrowUp] ?
+        super[internal.keyArrowUp]() :
+        false;
+    }
+
+    [internal.keyEnd]() {
+      return super[internal.keyEnd] ?
+        super[internal.keyEnd]() :
+        false;
+    }
+
+    [internal.keyHome]() {
+      return super[internal.keyHome] ?
+        super[internal.keyHome]() :
+        false;
+    }
+
+    [internal.keyPageDown]() {
+      return super[internal.keyPageDown] ?
+        super[internal.keyPageDown]() :
+        false;
+    }
+
+    [internal.keyPageUp]() {
+      return super[internal.keyPageUp] ?
+        super[internal.keyPageUp]() :
+        false;
+    }
+  };
+}
@@ -0,0 +1,117 @@
+import * as internal from './internal.js';
+
+/**
+ * The log that LifecycleTraceMixin records to. It's an EventTarget, so a
+ * page can listen for "entry" events to show the trace as it happens;
+ * each event's "detail" is the new entry.
+ *
+ * Each entry records:
+ *
+ *   time      milliseconds since the page started (performance.now())
+ *   element   the component
+ *   localName the component's tag name
+ *   type      'constructor', 'connected', 'disconnected', 'adopted',
+ *             'attributeChanged', 'firstRender' or 'render'
+ *   detail    for 'attributeChanged', the attribute's name, old value and
+ *             new value; for renders, the names of the state members that
+ *             changed and the state being rendered
+ */
+class LifecycleLog extends EventTarget {
+  constructor() {
+    super();
+
+    // Set to true to trace every component that uses LifecycleTraceMixin.
+    // A single component can also be traced by giving it a "trace"
+    // attribute.
+    this.enabled = false;
+
+    this.entries = [];
+  }
+
+  add(entry) {
+    this.entries.push(entry);
+    this.dispatchEvent(new CustomEvent('entry', { detail: entry }));
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+export const lifecycleLog = new LifecycleLog();
+
+/**
+ * The elements that have rendered, so we can tell a first render from the
+ * ones after it.
+ */
+const renderedElements = new WeakSet();
+
+/**
+ * LifecycleTraceMixin records a component's life cycle callbacks and
+ * renders in the lifecycle log, so we can see the order in which things
+ * happen without sprinkling console.log calls through our components.
+ *
+ * Apply it last (outermost), so that it sees each callback before the
+ * component and the other mixins handle it.
+ */
+export const LifecycleTraceMixin = (Base) => {
+  return class LifecycleTrace extends Base {
+    constructor() {
+      // Always call super first in constructor
+      super();
+
+      recordEntry(this, 'constructor');
+    }
+
+    adoptedCallback() {
+      recordEntry(this, 'adopted');
+      if (super.adoptedCallback) {
+        super.adoptedCallback();
+      }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      recordEntry(this, 'attributeChanged', { name, oldValue, newValue });
+      if (super.attributeChangedCallback) {
+        super.attributeChangedCallback(name, oldValue, newValue);
+      }
+    }
+
+    connectedCallback() {
+      recordEntry(this, 'connected');
+      if (super.connectedCallback) {
+        super.connectedCallback();
+      }
+    }
+
+    disconnectedCallback() {
+      recordEntry(this, 'disconnected');
+      if (super.disconnectedCallback) {
+        super.disconnectedCallback();
+      }
+    }
+
+    [internal.render](changed) {
+      const type = renderedElements.has(this) ? 'render' : 'firstRender';
+      renderedElements.add(this);
+      recordEntry(this, type, {
+        changed: Object.keys(changed),
+        state: this[internal.state]
+      });
+      super[internal.render](changed);
+    }
+  };
+}
+
+function recordEntry(element, type, detail = null) {
+  if (!lifecycleLog.enabled && !element.hasAttribute('trace')) {
+    return;
+  }
+  lifecycleLog.add({
+    time: performance.now(),
+    element,
+    localName: element.localName,
+    type,
+    detail
+  });
+}
@@ -0,0 +1,139 @@
+import * as internal from './internal.js';
+
+/**
+ * PartTypesMixin lets the page choose what kind of element a component
+ * uses for each of the roles its inner elements play. A SpinBox, say, can
+ * use a custom element in place of its plain <input>.
+ *
+ * A component declares its roles, and the element type each uses by
+ * default, in a static "partTypes" getter:
+ *
+ *   static get partTypes() {
+ *     return Object.assign({}, super.partTypes, {
+ *       button: 'button',
+ *       input: 'input'
+ *     });
+ *   }
+ *
+ * The elements in the template that play a role are the ones exposed as
+ * the part of that name, e.g. <button part="button up-button">.
+ *
+ * For each role the mixin declares a property named for the role, like
+ * "inputPartType", with a matching attribute ("input-part-type"), and a
+ * state member of the same name. The component supplies the property's
+ * getter and setter. The property takes a tag name, or (from script) a
+ * custom element class. The setter should ignore any value isPartType
+ * rejects, as there would be no element to stamp:
+ *
+ *   set inputPartType(inputPartType) {
+ *     if (isPartType(inputPartType)) {
+ *       this[internal.setState]({ inputPartType });
+ *     }
+ *   }
+ *
+ * Each time the template is stamped, elements playing a role whose type
+ * isn't the default are replaced with new elements of the chosen type.
+ * The new element gets the old one's attributes, so it keeps its id, its
+ * part names, and its "data-on-" event listeners, and takes over its
+ * children. If a part type changes after the first render, we stamp the
+ * template again and render the whole state into the new elements, so
+ * nothing the user or page did is lost. renderHelper returns true in that
+ * case, as on the first render, so the component hooks up the new
+ * elements again.
+ */
+export const PartTypesMixin = (Base) => {
+  return class PartTypes extends Base {
+    static get partTypes() {
+      return super.partTypes || {};
+    }
+
+    static get properties() {
+      const properties = Object.assign({}, super.properties);
+      Object.keys(this.partTypes).forEach((role) => {
+        properties[partTypeKey(role)] = { type: 'string' };
+      });
+      return properties;
+    }
+
+    get [internal.defaultState]() {
+      const partTypes = this.constructor.partTypes;
+      const state = {};
+      Object.keys(partTypes).forEach((role) => {
+        state[partTypeKey(role)] = partTypes[role];
+      });
+      return Object.assign(super[internal.defaultState], state);
+    }
+
+    [internal.prepareContent](content) {
+      if (super[internal.prepareContent]) {
+        super[internal.prepareContent](content);
+      }
+      const partTypes = this.constructor.partTypes;
+      Object.keys(partTypes).forEach((role) => {
+        const type = this[internal.state][partTypeKey(role)];
+        if (type === partTypes[role]) {
+          return;
+        }
+        content.querySelectorAll(`[part~="${role}"]`).forEach((original) => {
+          replaceElement(original, type);
+        });
+      });
+    }
+
+    [internal.renderHelper](changed) {
+      const roles = Object.keys(this.constructor.partTypes);
+      const restamp = this[internal.shadowRoot] && changed &&
+        roles.some((role) => changed[partTypeKey(role)]);
+      if (restamp) {
+        this[internal.stampTemplate]();
+
+        // Everything in the new elements needs rendering, not just what
+        // changed.
+        Object.keys(this[internal.state]).forEach((key) => {
+          changed[key] = true;
+        });
+      }
+      const firstRender = super[internal.renderHelper](changed);
+      return firstRender || restamp;
+    }
+  };
+}
+
+/**
+ * Return true if the type is one we can make an element of: a tag name that
+ * document.createElement accepts, or a defined custom element class.
+ */
+export function isPartType(type) {
+  if (typeof type === 'function') {
+    return customElements.getName(type) !== null;
+  }
+  if (typeof type !== 'string') {
+    return false;
+  }
+  try {
+    document.createElement(type);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// The name of the property and state member for a role's element type.
+function partTypeKey(role) {
+  return `${role}PartType`;
+}
+
+//
+// Replace the element with a new one of the given type, which is either a
+// tag name or a custom element class.
+//
+function replaceElement(original, type) {
+  const replacement = typeof type === 'function' ?
+    new type() :
+    document.createElement(type);
+  Array.from(original.attributes).forEach((attribute) => {
+    replacement.setAttribute(attribute.name, attribute.value);
+  });
+  replacement.append(...original.childNodes);
+  original.replaceWith(replacement);
+}
@@ -0,0 +1,152 @@
+import * as internal from './internal.js';
+
+/**
+ * Each element's current, immutable state. Keeping it here rather than on
+ * the element keeps it out of the component's public API; components read
+ * it through the "state" Symbol.
+ */
+const elementStates = new WeakMap();
+
+/**
+ * What each element needs to know to render: the state members that
+ * changed since its last render, whether a render is pending, whether it
+ * has rendered at all, and whether the next render's changes came from
+ * the user.
+ */
+const renderRecords = new WeakMap();
+
+/**
+ * ReactiveMixin keeps all of a component's state in a single, immutable
+ * "state" object. Components never assign to that object directly; they
+ * call setState with the changes they want. Any number of setState calls
+ * made in the same turn of the event loop are coalesced into a single call
+ * to render, which is handed an object whose keys are the names of the
+ * state members that changed since the last render.
+ */
+export const ReactiveMixin = (Base) => {
+  return class Reactive extends Base {
+    constructor() {
+      // Always call super first in constructor
+      super();
+
+      // Start from the component's default state. Every member of the
+      // default state counts as "changed" for the purposes of the first
+      // render.
+      const state = Object.freeze(
+        Object.assign({}, this[internal.defaultState])
+      );
+      elementStates.set(this, state);
+      const changedSinceLastRender = {};
+      Object.keys(state).forEach((key) => {
+        changedSinceLastRender[key] = true;
+      });
+      renderRecords.set(this, {
+        changedSinceLastRender,
+        hasRendered: false,
+        raiseChangeEventsInNextRender: false,
+        renderPending: false
+      });
+      this[internal.raiseChangeEvents] = false;
+    }
+
+    connectedCallback() {
+      if (super.connectedCallback) {
+        super.connectedCallback();
+      }
+
+      // Render synchronously when we're added to the page so the
+      // component never appears on screen without its shadow DOM.
+      this[internal.renderChanges]();
+    }
+
+    //
+    // Components override this getter to supply their initial state.
+    // Be sure to merge with super[internal.defaultState] so that state
+    // defined by other mixins is preserved.
+    //
+    get [internal.defaultState]() {
+      return super[internal.defaultState] || {};
+    }
+
+    //
+    // Components override render to reflect changes in state in the
+    // shadow DOM. The "changed" argument has a true-valued key for each
+    // state member that changed since the last render. Overrides should
+    // call super[internal.render](changed) so that other mixins get a
+    // chance to render too.
+    //
+    [internal.render](changed) {
+      if (super[internal.render]) {
+        super[internal.render](changed);
+      }
+    }
+
+    //
+    // Render any state changes that haven't been rendered yet.
+    //
+    [internal.renderChanges]() {
+      const record = renderRecords.get(this);
+      record.renderPending = false;
+
+      // A component always gets a first render, even if it has no state.
+      const changed = record.changedSinceLastRender;
+      if (record.hasRendered && Object.keys(changed).length === 0) {
+        return;
+      }
+
+      // Reset the change tracking before rendering, so that any setState
+      // calls made during render are picked up by a subsequent render.
+      record.changedSinceLastRender = {};
+      record.hasRendered = true;
+
+      // Let render know whether these changes came from the user.
+      const saveRaiseChangeEvents = this[internal.raiseChangeEvents];
+      this[internal.raiseChangeEvents] = record.raiseChangeEventsInNextRender;
+      record.raiseChangeEventsInNextRender = false;
+      this[internal.render](changed);
+      this[internal.raiseChangeEvents] = saveRaiseChangeEvents;
+    }
+
+    //
+    // Apply the given changes to the state. Only members whose values
+    // actually differ from the current state are recorded as changed.
+    //
+    [internal.setState](changes) {
+      const current = elementStates.get(this);
+      const changedKeys = Object.keys(changes).filter(
+        (key) => !Object.is(changes[key], current[key])
+      );
+      if (changedKeys.length === 0) {
+        return;
+      }
+
+      // Replace, rather than mutate, the state object.
+      const record = renderRecords.get(this);
+      const state = Object.assign({}, current);
+      changedKeys.forEach((key) => {
+        state[key] = changes[key];
+        record.changedSinceLastRender[key] = true;
+      });
+      elementStates.set(this, Object.freeze(state));
+
+      if (this[internal.raiseChangeEvents]) {
+        record.raiseChangeEventsInNextRender = true;
+      }
+
+      // Until we're connected there's nothing to render into;
+      // connectedCallback will pick up the pending changes.
+      if (this.isConnected && !record.renderPending) {
+        record.renderPending = true;
+        Promise.resolve().then(() => {
+          if (record.renderPending) {
+            this[internal.renderChanges]();
+          }
+        });
+      }
+    }
+
+    get [internal.state]() {
+      return elementStates.get(this);
+    }
+  };
+}
@@ -0,0 +1,452 @@
+import {
+  attachBindings,
+  canAttachBindings,
+  updateBindings
+} from './bindings.js';
+import { aliasedClass } from './define.js';
+import * as internal from './internal.js';
+import { createTemplate } from './template.js';
+
+/**
+ * The shadow root for each element, whether open or closed. Keeping it
+ * here rather than on the element keeps a closed root private.
+ */
+const shadowRoots = new WeakMap();
+
+/**
+ * The ElementInternals of each element that has attached them. An element
+ * can only attach its internals once, so we keep them to find a closed
+ * shadow root the server rendered (see findDeclarativeRoot).
+ */
+const elementInternals = new WeakMap();
+
+/**
+ * The parts of each element's shadow tree that are bound to its state
+ * by template bindings.
+ */
+const elementBindings = new WeakMap();
+
+/**
+ * The map of ids to elements in each element's shadow tree; see the
+ * "ids" getter. An element has no entry until the map is first asked for,
+ * or after its template has been stamped again.
+ */
+const elementIds = new WeakMap();
+
+/**
+ * The event listeners each element's template asked for with "data-on-"
+ * attributes, and whether they're currently added.
+ */
+const elementHandlers = new WeakMap();
+
+// The prefix of the attributes that declare event listeners in a template.
+const handlerPrefix = 'data-on-';
+
+/**
+ * A component's template is the same for every instance of the
+ * component, so we only ask a class for its template once and keep
+ * the result here, keyed by the component's constructor. A component
+ * defined under more than one tag name has an alias class for each extra
+ * name (see define.js); those share the original class's entry.
+ */
+const classTemplateMap = new Map();
+
+/**
+ * The same goes for a component's styles. For each class we keep its
+ * own styles and any theme styles page authors have added.
+ */
+const classStylesMap = new Map();
+
+/**
+ * Browsers that support constructable stylesheets let every instance of a
+ * component share one parsed stylesheet through adoptedStyleSheets. Other
+ * browsers get a <style> element in each shadow root.
+ */
+const supportsAdoptedStyleSheets =
+  typeof ShadowRoot !== 'undefined' &&
+  'adoptedStyleSheets' in ShadowRoot.prototype &&
+  typeof CSSStyleSheet !== 'undefined' &&
+  'replaceSync' in CSSStyleSheet.prototype;
+
+/**
+ * This pattern of defining a function that takes a base class
+ * as a parameter and returns a new class extending the base
+ * is one that mixin libraries like Elix employ.
+ */
+export const ShadowHelperMixin = (Base) => {
+  return class ShadowHelper extends Base {
+    //
+    // Let page authors theme every instance of a component class, under
+    // any of the tag names it's defined as:
+    //
+    //   customElements.get('spin-box').addThemeStyles(`
+    //     #input { color: navy; }
+    //   `);
+    //
+    // Theme styles apply after the component's own styles, so they win
+    // ties in specificity. Where constructable stylesheets are supported,
+    // instances that have already rendered pick up the theme too;
+    // otherwise only instances rendered afterwards do.
+    //
+    static addThemeStyles(cssText) {
+      const classStyles = getClassStyles(aliasedClass(this));
+      classStyles.themeText += cssText;
+      if (classStyles.themeSheet) {
+        classStyles.themeSheet.replaceSync(classStyles.themeText);
+      }
+    }
+
+    //
+    // Mixins like FormElementMixin attach the element's internals in their
+    // constructors; we note them as they do.
+    //
+    attachInternals() {
+      const internals = super.attachInternals();
+      elementInternals.set(this, internals);
+      return internals;
+    }
+
+    //
+    // Event listeners declared in the template are removed when the
+    // component leaves the page, so we add them again when it returns.
+    //
+    connectedCallback() {
+      if (super.connectedCallback) {
+        super.connectedCallback();
+      }
+      addHandlers(this);
+    }
+
+    disconnectedCallback() {
+      if (super.disconnectedCallback) {
+        super.disconnectedCallback();
+      }
+      removeHandlers(this);
+    }
+
+    //
+    // If the component passes in the changes being rendered (see
+    // ReactiveMixin), we also update any template bindings for those
+    // changes.
+    //
+    // A page rendered on the server (see ssr.js) can arrive with the
+    // component's shadow tree already in place, as a declarative shadow
+    // root. Rather than stamp the template over it, we hydrate it: we take
+    // the elements as they are and hook up their bindings, styles and
+    // event listeners. It's still the first render, so the component goes
+    // on to do its first render wiring as usual. If the markup from the
+    // server doesn't match the template, we stamp the template after all.
+    //
+    [internal.renderHelper](changed) {
+      const firstRender = !this[internal.shadowRoot];
+
+      if (firstRender) {
+        const declarativeRoot = findDeclarativeRoot(this);
+        if (declarativeRoot && hydrateShadowRoot(this, declarativeRoot)) {
+          shadowRoots.set(this, declarativeRoot);
+        } else {
+          // A root the server rendered that doesn't match our template gets
+          // stamped over; stamping replaces what's in it.
+          const root = declarativeRoot ||
+            this.attachShadow(this[internal.shadowRootOptions]);
+          shadowRoots.set(this, root);
+          stampTemplate(this, root);
+        }
+      }
+
+      if (changed) {
+        const boundParts = elementBindings.get(this);
+        updateBindings(boundParts, this[internal.state], changed);
+      }
+
+      // Return the value of firstRender, since the initialization
+      // state may be of great interest.
+      return firstRender;
+    }
+
+    //
+    // The elements in the shadow tree that have an id, keyed by id, so
+    // components can write this[internal.ids].input instead of looking the
+    // element up by a string each time. We build the map the first time
+    // it's asked for after the template is stamped.
+    //
+    get [internal.ids]() {
+      const root = this[internal.shadowRoot];
+      if (!root) {
+        return {};
+      }
+      let ids = elementIds.get(this);
+      if (!ids) {
+        ids = {};
+        root.querySelectorAll('[id]').forEach((element) => {
+          ids[element.id] = element;
+        });
+        Object.freeze(ids);
+        elementIds.set(this, ids);
+      }
+      return ids;
+    }
+
+    //
+    // Stamp the template into the shadow root again, replacing everything
+    // in it. The new elements' template bindings need updating for the
+    // whole state, since they've never been written.
+    //
+    [internal.stampTemplate]() {
+      stampTemplate(this, this[internal.shadowRoot]);
+    }
+
+    get [internal.shadowRoot]() {
+      return shadowRoots.get(this) || null;
+    }
+
+    //
+    // By default we attach an open shadow root. Components can override
+    // this and merge their own options with
+    // super[internal.shadowRootOptions].
+    //
+    get [internal.shadowRootOptions]() {
+      return { mode: 'open' };
+    }
+  };
+}
+
+//
+// Fill the shadow root with a copy of the component's template, replacing
+// anything already there.
+//
+function stampTemplate(element, root) {
+  const templateElement = getTemplate(element);
+
+  // If the component has a scoped registry (see define.js), its elements
+  // need to be created with it. Browsers without scoped registries take
+  // the options object to mean a deep copy.
+  const { customElementRegistry } = element[internal.shadowRootOptions];
+  const clone = customElementRegistry ?
+    document.importNode(templateElement.content, { customElementRegistry }) :
+    document.importNode(templateElement.content, true);
+  if (element[internal.prepareContent]) {
+    element[internal.prepareContent](clone);
+  }
+  root.replaceChildren(clone);
+  connectShadowTree(element, root, templateElement);
+}
+
+//
+// Return the shadow root the server rendered for the element, if there is
+// one. An open root is the element's shadowRoot, but a closed one can only
+// be had through the element's internals. We don't attach those on the
+// component's behalf -- an element can only attach them once, and they're
+// the component's to attach -- so a component with a closed root that
+// wants it hydrated has to attach its internals in its constructor, as
+// FormElementMixin does. Otherwise we stamp the template into the root
+// instead.
+//
+function findDeclarativeRoot(element) {
+  if (element.shadowRoot) {
+    return element.shadowRoot;
+  }
+  const internals = elementInternals.get(element);
+  return internals ? internals.shadowRoot : null;
+}
+
+//
+// Adopt the shadow tree a server rendered, if it has the template's shape.
+// Returns true if it does.
+//
+function hydrateShadowRoot(element, root) {
+  const templateElement = getTemplate(element);
+
+  // The server put the component's styles in <style> elements, which we
+  // replace with our own.
+  const serverStyles = Array.from(root.children).filter(
+    (child) => child.localName === 'style'
+  );
+  serverStyles.forEach((style) => style.remove());
+
+  const descriptors = templateElement.bindings || [];
+  if (!canAttachBindings(root, descriptors)) {
+    return false;
+  }
+  connectShadowTree(element, root, templateElement);
+  return true;
+}
+
+//
+// Hook up a newly stamped or hydrated shadow tree: its bindings, styles
+// and event listeners.
+//
+function connectShadowTree(element, root, templateElement) {
+  // Any elements we had found by id are gone now.
+  elementIds.delete(element);
+
+  // Find the bound parts before adding styles, which can add
+  // elements to the root.
+  const descriptors = templateElement.bindings || [];
+  elementBindings.set(element, attachBindings(root, descriptors));
+
+  applyStyles(element, root);
+
+  removeHandlers(element);
+  elementHandlers.set(element, {
+    added: false,
+    handlers: findHandlers(element, root)
+  });
+  addHandlers(element);
+}
+
+//
+// Add the event listeners declared in the element's template, if they
+// aren't already added.
+//
+function addHandlers(element) {
+  const record = elementHandlers.get(element);
+  if (!record || record.added) {
+    return;
+  }
+  record.handlers.forEach(({ listener, target, type }) => {
+    target.addEventListener(type, listener);
+  });
+  record.added = true;
+}
+
+//
+// Find the elements in the shadow tree with "data-on-" attributes, e.g.
+//
+//   <input data-on-input="handleInputInput">
+//
+// and return a listener for each that calls the component's method named
+// by the Symbol of that name in internal.js -- here,
+// this[internal.handleInputInput]. That keeps event handlers out of the
+// component's public API, like its other internal methods. A name that
+// isn't such a method is a mistake in the template, so we say so straight
+// away rather than wait for the event.
+//
+function findHandlers(element, root) {
+  const handlers = [];
+  root.querySelectorAll('*').forEach((target) => {
+    Array.from(target.attributes).forEach((attribute) => {
+      if (!attribute.name.startsWith(handlerPrefix)) {
+        return;
+      }
+      const type = attribute.name.slice(handlerPrefix.length);
+      const methodName = attribute.value;
+      const method = internal[methodName];
+      if (typeof method !== 'symbol' || typeof element[method] !== 'function') {
+        throw new TypeError(
+          `<${element.localName}>: the template's ` +
+          `${attribute.name}="${methodName}" doesn't name an internal ` +
+          `method the component has.`
+        );
+      }
+      const listener = (event) => element[method](event);
+      handlers.push({ listener, target, type });
+    });
+  });
+  return handlers;
+}
+
+//
+// Remove the event listeners declared in the element's template.
+//
+function removeHandlers(element) {
+  const record = elementHandlers.get(element);
+  if (!record || !record.added) {
+    return;
+  }
+  record.handlers.forEach(({ listener, target, type }) => {
+    target.removeEventListener(type, listener);
+  });
+  record.added = false;
+}
+
+//
+// Give the shadow root the component's styles followed by its theme styles.
+//
+function applyStyles(element, root) {
+  const classStyles = getClassStyles(aliasedClass(element.constructor));
+
+  // Ask the element for its own styles the first time we see its class.
+  if (classStyles.componentStyles === undefined) {
+    classStyles.componentStyles = element[internal.styles] || null;
+  }
+  const componentStyles = classStyles.componentStyles;
+
+  if (supportsAdoptedStyleSheets) {
+    if (!classStyles.componentSheet && componentStyles) {
+      classStyles.componentSheet = toStyleSheet(componentStyles);
+    }
+    if (!classStyles.themeSheet) {
+      classStyles.themeSheet = toStyleSheet(classStyles.themeText);
+    }
+    const sheets = [classStyles.componentSheet, classStyles.themeSheet];
+    root.adoptedStyleSheets = sheets.filter((sheet) => sheet);
+  } else {
+    const cssTexts = [cssTextOf(componentStyles), classStyles.themeText];
+    const styleElements = cssTexts
+      .filter((cssText) => cssText)
+      .map((cssText) => {
+        const styleElement = document.createElement('style');
+        styleElement.textContent = cssText;
+        return styleElement;
+      });
+    root.prepend(...styleElements);
+  }
+}
+
+//
+// Return the styles record for a component class, creating it if needed.
+//
+function getClassStyles(classFn) {
+  let classStyles = classStylesMap.get(classFn);
+  if (!classStyles) {
+    classStyles = {
+      componentSheet: null,
+      componentStyles: undefined,
+      themeSheet: null,
+      themeText: ''
+    };
+    classStylesMap.set(classFn, classStyles);
+  }
+  return classStyles;
+}
+
+//
+// Return the cached template for the element's class, asking the element
+// for it the first time. A component may supply its template as an
+// HTMLTemplateElement (e.g., from the html helper) or as a string of markup.
+//
+function getTemplate(element) {
+  const classFn = aliasedClass(element.constructor);
+  let templateElement = classTemplateMap.get(classFn);
+  if (!templateElement) {
+    templateElement = element[internal.template];
+    if (typeof templateElement === 'string') {
+      templateElement = createTemplate(templateElement);
+    }
+    classTemplateMap.set(classFn, templateElement);
+  }
+  return templateElement;
+}
+
+function cssTextOf(componentStyles) {
+  if (!componentStyles) {
+    return '';
+  }
+  if (typeof componentStyles === 'string') {
+    return componentStyles;
+  }
+  // A CSSStyleSheet
+  return Array.from(componentStyles.cssRules)
+    .map((rule) => rule.cssText)
+    .join('\n');
+}
+
+function toStyleSheet(componentStyles) {
+  if (typeof componentStyles !== 'string') {
+    return componentStyles;
+  }
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(componentStyles);
+  return sheet;
+}
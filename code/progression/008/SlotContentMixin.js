@@ -0,0 +1,60 @@
+import * as internal from './internal.js';
+
+/**
+ * SlotContentMixin keeps track of what the page has put into each of the
+ * slots in a component's shadow tree, so the component can render in
+ * response to it -- say, to hide the frame around a slot that's empty.
+ *
+ * The nodes assigned to the slots are kept in the "assignedNodes" member
+ * of the state: an object with an array of nodes for each slot, keyed by
+ * the slot's name. The default (unnamed) slot's key is the empty string.
+ * A slot showing its fallback content has an empty array.
+ *
+ * The mixin reads the slots when the template is first stamped (see
+ * ShadowHelperMixin's renderHelper), and again whenever a slot raises
+ * "slotchange". It relies on ReactiveMixin for state, so apply it outside
+ * of ReactiveMixin and ShadowHelperMixin.
+ */
+export const SlotContentMixin = (Base) => {
+  return class SlotContent extends Base {
+    get [internal.defaultState]() {
+      return Object.assign(super[internal.defaultState], {
+        assignedNodes: {}
+      });
+    }
+
+    [internal.renderHelper](changed) {
+      const firstRender = super[internal.renderHelper](changed);
+      if (firstRender) {
+        // slotchange bubbles, so one listener on the root hears every slot.
+        const root = this[internal.shadowRoot];
+        root.addEventListener('slotchange', () => updateAssignedNodes(this));
+        updateAssignedNodes(this);
+      }
+      return firstRender;
+    }
+  };
+}
+
+//
+// Read the nodes assigned to each slot into the state, if they've changed.
+//
+function updateAssignedNodes(element) {
+  const previous = element[internal.state].assignedNodes;
+  const assignedNodes = {};
+  let changed = false;
+  element[internal.shadowRoot].querySelectorAll('slot').forEach((slot) => {
+    const nodes = Object.freeze(slot.assignedNodes());
+    const previousNodes = previous[slot.name];
+    const same = previousNodes !== undefined &&
+      nodes.length === previousNodes.length &&
+      nodes.every((node, index) => node === previousNodes[index]);
+    assignedNodes[slot.name] = same ? previousNodes : nodes;
+    changed = changed || !same;
+  });
+  if (changed) {
+    element[internal.setState]({
+      assignedNodes: Object.freeze(assignedNodes)
+    });
+  }
+}
@@ -0,0 +1,843 @@
+/**
+ * SpinBox custom element
+ *
+ * 008: Reactive state
+ */
+
+import { AttributeMarshallingMixin } from './AttributeMarshallingMixin.js';
+import { AutoRepeatMixin } from './AutoRepeatMixin.js';
+import { ConnectionSignalMixin } from './ConnectionSignalMixin.js';
+import { define } from './define.js';
+import { FormElementMixin } from './FormElementMixin.js';
+import { HistoryMixin } from './HistoryMixin.js';
+import * as internal from './internal.js';
+import { KeyboardMixin } from './KeyboardMixin.js';
+import { LifecycleTraceMixin } from './LifecycleTraceMixin.js';
+import { createNumberFormat, roundTo } from './numberFormat.js';
+import { isPartType, PartTypesMixin } from './PartTypesMixin.js';
+import { ReactiveMixin } from './ReactiveMixin.js';
+import { ShadowHelperMixin } from './ShadowHelperMixin.js';
+import { SlotContentMixin } from './SlotContentMixin.js';
+import { bind, css, html } from './template.js';
+
+// PageUp and PageDown change the value by this many steps.
+const largeStepFactor = 10;
+
+// The values each of the constraints on the value can take. The bounds and
+// precision can be null, meaning there isn't one.
+const constraintChecks = {
+  max: (max) => max === null || Number.isFinite(max),
+  min: (min) => min === null || Number.isFinite(min),
+  precision: (precision) =>
+    precision === null || (Number.isInteger(precision) && precision >= 0),
+  step: (step) => Number.isFinite(step) && step > 0
+};
+
+// The value of each element as of the last "change" event, or the last time
+// the page set it. The user has to move the value away from this for a
+// commit to raise another "change" event.
+const committedValues = new WeakMap();
+
+// The number format each element last used, and the key of the locale and
+// options it was made for; see getNumberFormat.
+const numberFormats = new WeakMap();
+
+// The value the page or the user last asked for, before we constrained it.
+// See setConstraints.
+const requestedValues = new WeakMap();
+
+// Create a class for the element
+class SpinBox extends LifecycleTraceMixin(
+  AttributeMarshallingMixin(
+    FormElementMixin(
+      HistoryMixin(
+        KeyboardMixin(
+          AutoRepeatMixin(
+            ConnectionSignalMixin(
+              PartTypesMixin(
+                SlotContentMixin(
+                  ReactiveMixin(ShadowHelperMixin(HTMLElement))
+                )
+              )
+            )
+          )
+        )
+      )
+    )
+  )
+) {
+
+  //
+  // The page can choose the elements we use for our input and our
+  // buttons, through the "inputPartType" and "buttonPartType" properties
+  // (or "input-part-type" and "button-part-type" attributes). A
+  // replacement should behave enough like the original -- a "value" for
+  // the input, a "disabled" property for the buttons -- for us to use it.
+  // See PartTypesMixin.
+  //
+  static get partTypes() {
+    return Object.assign({}, super.partTypes, {
+      button: 'button',
+      input: 'input'
+    });
+  }
+
+  //
+  // The user can undo and redo changes to the value (see HistoryMixin).
+  // Each commit of the value -- letting go of a button, pressing a key,
+  // or leaving the input after typing -- is one step.
+  //
+  static get historyKeys() {
+    return [...super.historyKeys, 'value'];
+  }
+
+  //
+  // Declare our public properties. AttributeMarshallingMixin derives
+  // observedAttributes from these, and converts the attributes to
+  // numbers for us.
+  //
+  static get properties() {
+    return Object.assign({}, super.properties, {
+      currency: { type: 'string' },
+      locale: { type: 'string' },
+      max: { type: 'number' },
+      min: { type: 'number' },
+      numberStyle: { type: 'string' },
+      precision: { type: 'number' },
+      step: { type: 'number' },
+      unit: { type: 'string' },
+      value: { type: 'number' },
+      wrap: { type: 'boolean' }
+    });
+  }
+
+  //
+  // We no longer need to implement the life cycle callbacks ourselves.
+  // ReactiveMixin renders when we're added to the page, AutoRepeatMixin
+  // cleans up when we're removed (using ConnectionSignalMixin's signal),
+  // and AttributeMarshallingMixin handles attribute changes.
+  // LifecycleTraceMixin records them all when tracing is turned on, in
+  // place of the console.log calls we used to make.
+  //
+
+  //
+  // Our state is the value, along with the bounds, step and precision
+  // that constrain it. ReactiveMixin holds it for us in
+  // this[internal.state].
+  //
+  // A precision of null means "as many decimal places as the step has".
+  //
+  // The remaining members say how the value is shown. The number style is
+  // one of Intl.NumberFormat's styles: 'decimal', 'currency' (which needs
+  // a currency code), 'percent' or 'unit' (which needs a unit). A locale
+  // of null means we use the language of the page, as given by the nearest
+  // "lang" attribute (see inheritedLanguage).
+  //
+  get [internal.defaultState]() {
+    return Object.assign(super[internal.defaultState], {
+      currency: null,
+      locale: null,
+      max: null,
+      min: null,
+      numberStyle: 'decimal',
+      precision: null,
+      step: 1,
+      unit: null,
+      value: 0,
+      wrap: false
+    });
+  }
+
+  get buttonPartType() {
+    return this[internal.state].buttonPartType;
+  }
+  set buttonPartType(buttonPartType) {
+    if (isPartType(buttonPartType)) {
+      this[internal.setState]({ buttonPartType });
+    }
+  }
+
+  get currency() {
+    return this[internal.state].currency;
+  }
+  set currency(currency) {
+    this[internal.setState]({ currency });
+  }
+
+  get inputPartType() {
+    return this[internal.state].inputPartType;
+  }
+  set inputPartType(inputPartType) {
+    if (isPartType(inputPartType)) {
+      this[internal.setState]({ inputPartType });
+    }
+  }
+
+  get locale() {
+    return this[internal.state].locale;
+  }
+  set locale(locale) {
+    this[internal.setState]({ locale });
+  }
+
+  get max() {
+    return this[internal.state].max;
+  }
+  set max(max) {
+    setConstraints(this, { max });
+  }
+
+  get min() {
+    return this[internal.state].min;
+  }
+  set min(min) {
+    setConstraints(this, { min });
+  }
+
+  get numberStyle() {
+    return this[internal.state].numberStyle;
+  }
+  set numberStyle(numberStyle) {
+    this[internal.setState]({ numberStyle });
+  }
+
+  get precision() {
+    return this[internal.state].precision;
+  }
+  set precision(precision) {
+    setConstraints(this, { precision });
+  }
+
+  get step() {
+    return this[internal.state].step;
+  }
+  set step(step) {
+    // The step can determine the precision, so it's a constraint too.
+    setConstraints(this, { step });
+  }
+
+  //
+  // Increase the value by one step. If wrap is on, stepping up from the
+  // maximum goes to the minimum.
+  //
+  stepUp() {
+    const { max, min, step, value, wrap } = this[internal.state];
+    const current = value === null ? (min !== null ? min : 0) : value;
+    if (wrap && max !== null && min !== null && current >= max) {
+      this.value = min;
+    } else {
+      this.value = addStep(current, step, this[internal.state]);
+    }
+  }
+
+  //
+  // Decrease the value by one step. If wrap is on, stepping down from the
+  // minimum goes to the maximum.
+  //
+  stepDown() {
+    const { max, min, step, value, wrap } = this[internal.state];
+    const current = value === null ? (max !== null ? max : 0) : value;
+    if (wrap && max !== null && min !== null && current <= min) {
+      this.value = max;
+    } else {
+      this.value = addStep(current, -step, this[internal.state]);
+    }
+  }
+
+  get unit() {
+    return this[internal.state].unit;
+  }
+  set unit(unit) {
+    this[internal.setState]({ unit });
+  }
+
+  get value() {
+    return this[internal.state].value;
+  }
+  set value(value) {
+    // Like a native input, accept a string as the value. Form reset and
+    // restore hand us strings too. Such strings are always in the format
+    // JavaScript uses for numbers, whatever the locale.
+    const parsed = typeof value === 'string' ? parseValue(value) : value;
+
+    // Ignore anything that isn't a finite number or null (empty), rather
+    // than let NaN, Infinity or a value of some other type into our state.
+    if (parsed !== null && !Number.isFinite(parsed)) {
+      return;
+    }
+
+    // Every way of setting the value ends up here, so this is where we
+    // keep the value within bounds and at the right precision.
+    //
+    // We no longer render here. ReactiveMixin notices whether the value
+    // actually changed and schedules a render for us.
+    requestedValues.set(this, parsed);
+    this[internal.setState]({
+      value: constrainValue(parsed, this[internal.state])
+    });
+  }
+
+  get wrap() {
+    return this[internal.state].wrap;
+  }
+  set wrap(wrap) {
+    this[internal.setState]({ wrap });
+  }
+
+  //
+  // Keyboard support, following the ARIA spinbutton pattern. KeyboardMixin
+  // calls these for us.
+  //
+  // Like a native number input, each key that changes the value commits
+  // it straight away.
+  //
+  [internal.keydown](event) {
+    const handled = super[internal.keydown](event);
+    if (handled) {
+      commitValue(this);
+    }
+    return handled;
+  }
+
+  [internal.keyArrowDown]() {
+    this.stepDown();
+    return true;
+  }
+
+  [internal.keyArrowUp]() {
+    this.stepUp();
+    return true;
+  }
+
+  [internal.keyEnd]() {
+    // Without a maximum, let End move the caret in the input as usual.
+    if (this[internal.state].max === null) {
+      return super[internal.keyEnd]();
+    }
+    this.value = this[internal.state].max;
+    return true;
+  }
+
+  [internal.keyHome]() {
+    // Without a minimum, let Home move the caret in the input as usual.
+    if (this[internal.state].min === null) {
+      return super[internal.keyHome]();
+    }
+    this.value = this[internal.state].min;
+    return true;
+  }
+
+  [internal.keyPageDown]() {
+    const state = this[internal.state];
+    const current = state.value === null ? 0 : state.value;
+    this.value = addStep(current, -state.step * largeStepFactor, state);
+    return true;
+  }
+
+  [internal.keyPageUp]() {
+    const state = this[internal.state];
+    const current = state.value === null ? 0 : state.value;
+    this.value = addStep(current, state.step * largeStepFactor, state);
+    return true;
+  }
+
+  //
+  // The template hooks up the input element's events to these two
+  // internal methods (see its "data-on-" attributes). While the user is typing, we
+  // only accept text that's already a valid, in-bounds value; correcting
+  // the text under the user's fingers would make it hard to type. When the
+  // user commits the text, we clamp it, or revert it if it isn't a number
+  // at all. The user types numbers the way they're written in the
+  // component's locale.
+  //
+  // The inner input's own "input" event would escape our shadow root,
+  // since it's a composed event. We stop it, and raise our own "input"
+  // event from the host only if the value actually changes.
+  //
+  [internal.handleInputInput](event) {
+    event.stopPropagation();
+    const text = this[internal.ids].input.value;
+    const value = getNumberFormat(this).parse(text);
+    if (value === constrainValue(value, this[internal.state])) {
+      this[internal.raiseChangeEvents] = true;
+      this.value = value;
+      this[internal.raiseChangeEvents] = false;
+    }
+  }
+
+  [internal.handleInputChange]() {
+    const text = this[internal.ids].input.value;
+    const value = getNumberFormat(this).parse(text);
+    this[internal.raiseChangeEvents] = true;
+    if (!Number.isNaN(value)) {
+      this.value = value;
+    }
+    renderInputText(this, true);
+    commitValue(this);
+    this[internal.raiseChangeEvents] = false;
+  }
+
+  //
+  // We handle first render initialization, like hooking up
+  // event handlers, here. Naming this method with a Symbol keeps it out
+  // of our public API, along with render and the other methods that only
+  // the mixins call.
+  //
+  [internal.firstRender]() {
+    // Hook up the buttons. AutoRepeatMixin steps once when a button is
+    // pressed, and keeps stepping while it's held down. Letting go of the
+    // button commits the value.
+    this[internal.autoRepeat](
+      this[internal.ids].upButton,
+      () => this.stepUp(),
+      () => commitValue(this)
+    );
+
+    this[internal.autoRepeat](
+      this[internal.ids].downButton,
+      () => this.stepDown(),
+      () => commitValue(this)
+    );
+  }
+
+  //
+  // We supply a property getter for our template element where
+  // we name this property with the agreed-upon Symbol, "template".
+  // The "template" Symbol is defined in internal.js, along with the
+  // other Symbols our mixins and this custom element share.
+  //
+  // The template now lives here rather than in the host page, so SpinBox
+  // can be imported into any page. ShadowHelperMixin only asks for it
+  // once, and reuses it for every SpinBox instance.
+  //
+  // The page can replace the buttons' glyphs through the "up-button" and
+  // "down-button" slots, and put a label before or after the input through
+  // the "prefix" and "suffix" slots:
+  //
+  //   <spin-box>
+  //     <img slot="up-button" src="plus.svg" alt="Increase">
+  //     <span slot="suffix">kg</span>
+  //   </spin-box>
+  //
+  // SlotContentMixin tells us what's in each slot, so we can hide the
+  // prefix and suffix when they're empty.
+  //
+  get [internal.template]() {
+    const isEmpty = (name) => (assignedNodes) =>
+      !assignedNodes[name] || assignedNodes[name].length === 0;
+    return html`
+      <span id="prefix" part="prefix"
+        hidden="${bind('assignedNodes', isEmpty('prefix'))}">
+        <slot name="prefix"></slot>
+      </span>
+      <input id="input" part="input"
+        data-on-input="handleInputInput"
+        data-on-change="handleInputChange"></input>
+      <span id="suffix" part="suffix"
+        hidden="${bind('assignedNodes', isEmpty('suffix'))}">
+        <slot name="suffix"></slot>
+      </span>
+      <button id="upButton" part="button up-button">
+        <slot name="up-button">▲</slot>
+      </button>
+      <button id="downButton" part="button down-button">
+        <slot name="down-button">▼</slot>
+      </button>
+    `;
+  }
+
+  //
+  // Ask for a shadow root that delegates focus, so that focusing the
+  // SpinBox (by clicking it, tabbing to it, or calling focus()) puts
+  // focus in the inner input element.
+  //
+  get [internal.shadowRootOptions]() {
+    return Object.assign(super[internal.shadowRootOptions], {
+      delegatesFocus: true
+    });
+  }
+
+  //
+  // Our styles are kept apart from the template so that ShadowHelperMixin
+  // can share a single stylesheet among all SpinBox instances.
+  //
+  // Pages can style our insides in two ways. The elements in the template
+  // are exposed as parts -- "input", "prefix", "suffix", and "up-button"
+  // and "down-button", which are both also "button" -- so page CSS can
+  // reach them:
+  //
+  //   spin-box::part(button) { background: white; }
+  //
+  // A component that puts a SpinBox in its own shadow tree can pass those
+  // parts on to its page with exportparts:
+  //
+  //   <spin-box exportparts="input, button: spin-box-button"></spin-box>
+  //
+  // For the common cases, we also read these CSS custom properties, which
+  // a page can set on a SpinBox or any of its ancestors:
+  //
+  //   --spin-box-background         the input's background color
+  //   --spin-box-color              the input's text color
+  //   --spin-box-border-radius      the corner radius of the input and
+  //                                 buttons
+  //   --spin-box-button-background  the buttons' background color
+  //   --spin-box-button-color       the buttons' text color
+  //   --spin-box-button-size        the buttons' width
+  //
+  get [internal.styles]() {
+    return css`
+      :host {
+        display: inline-grid;
+      }
+
+      #input,
+      #upButton,
+      #downButton {
+        border-radius: var(--spin-box-border-radius, 2px);
+      }
+
+      #prefix,
+      #suffix {
+        align-items: center;
+        display: flex;
+        grid-row: 1 / 3;
+      }
+
+      #prefix {
+        grid-column: 1;
+      }
+
+      #prefix[hidden],
+      #suffix[hidden] {
+        display: none;
+      }
+
+      #input {
+        background: var(--spin-box-background, field);
+        color: var(--spin-box-color, fieldtext);
+        grid-column: 2;
+        grid-row: 1 / 3;
+        text-align: right;
+      }
+
+      #suffix {
+        grid-column: 3;
+      }
+
+      #upButton,
+      #downButton {
+        background: var(--spin-box-button-background, buttonface);
+        color: var(--spin-box-button-color, buttontext);
+        grid-column: 4;
+        touch-action: none;
+        user-select: none;
+        width: var(--spin-box-button-size, auto);
+      }
+
+      #upButton {
+        grid-row: 1;
+      }
+
+      #downButton {
+        grid-row: 2;
+      }
+    `;
+  }
+
+  //
+  // ReactiveMixin calls render once for any number of state changes
+  // made in a row, and tells us which members of the state changed.
+  //
+  [internal.render](changed) {
+    super[internal.render](changed);
+
+    // We call renderHelper on the prototype chain. Notice that we're
+    // not implementing it in this class, so the implementation is being provided
+    // by the ShadowHelperMixin.
+    const firstRender = this[internal.renderHelper](changed);
+    if (firstRender) {
+      // Let's isolate one-time initialization code outside
+      // our render method.
+      this[internal.firstRender]();
+
+      // Tell assistive technologies what we are, unless the page
+      // has said otherwise.
+      if (!this.hasAttribute('role')) {
+        this.setAttribute('role', 'spinbutton');
+      }
+    }
+
+    // Finally, render the changes in state.
+    const formatChanged = changed.currency || changed.locale ||
+      changed.numberStyle || changed.precision || changed.step ||
+      changed.unit;
+    if (formatChanged) {
+      renderInputText(this, true);
+    } else if (changed.value) {
+      renderInputText(this, false);
+    }
+    if (changed.value) {
+      if (this[internal.raiseChangeEvents]) {
+        // The user is changing the value.
+        this.dispatchEvent(new Event('input', {
+          bubbles: true,
+          composed: true
+        }));
+      } else {
+        // The page changed the value; that's not something to report.
+        committedValues.set(this, this[internal.state].value);
+      }
+    }
+    if (formatChanged || changed.max || changed.min || changed.value) {
+      const { max, min, value } = this[internal.state];
+      setAriaAttribute(this, 'aria-valuemax', max);
+      setAriaAttribute(this, 'aria-valuemin', min);
+      setAriaAttribute(this, 'aria-valuenow', value);
+      setAriaAttribute(this, 'aria-valuetext', formatValue(this));
+    }
+    if (changed.disabled || changed.max || changed.min || changed.value ||
+        changed.wrap) {
+      const { disabled, max, min, value, wrap } = this[internal.state];
+      const atMax = !wrap && max !== null && value !== null && value >= max;
+      const atMin = !wrap && min !== null && value !== null && value <= min;
+      const { downButton, input, upButton } = this[internal.ids];
+      input.disabled = disabled;
+      upButton.disabled = disabled || atMax;
+      downButton.disabled = disabled || atMin;
+    }
+  }
+
+  //
+  // In addition to the "required" check FormElementMixin makes, check the
+  // value against our bounds.
+  //
+  [internal.validate]() {
+    const result = super[internal.validate]();
+    if (Object.keys(result.flags).length > 0) {
+      return result;
+    }
+
+    const { max, min, value } = this[internal.state];
+    if (value !== null && min !== null && value < min) {
+      return {
+        flags: { rangeUnderflow: true },
+        message: `Value must be ${min} or more.`
+      };
+    }
+    if (value !== null && max !== null && value > max) {
+      return {
+        flags: { rangeOverflow: true },
+        message: `Value must be ${max} or less.`
+      };
+    }
+    return result;
+  }
+}
+
+// Define SpinBox under a name that's unique to this version, and under
+// "spin-box" if no other version has claimed it. See define.js.
+define('spin-box-008', SpinBox);
+define('spin-box', SpinBox);
+
+//
+// The user has committed to the current value: by leaving or pressing Enter
+// in the input, letting go of a button, or pressing a key. If that changed
+// the value, raise a "change" event. The commit also ends the current step
+// in the undo history.
+//
+// The value may have changed so recently that the "input" event for it
+// hasn't been raised yet; that happens when ReactiveMixin renders in a
+// microtask. We queue our own microtask after that one, so that "change"
+// always follows "input".
+//
+function commitValue(element) {
+  Promise.resolve().then(() => {
+    element[internal.checkpoint]();
+    const value = element[internal.state].value;
+    if (value !== committedValues.get(element)) {
+      committedValues.set(element, value);
+      element.dispatchEvent(new Event('change', {
+        bubbles: true,
+        composed: true
+      }));
+    }
+  });
+}
+
+//
+// Return the value plus the given amount. Adding decimal fractions in
+// floating point leaves tiny errors (0.1 + 0.2 is 0.30000000000000004), so
+// we round the result to the precision if there is one, or else to the
+// number of decimal places of the value or the step, whichever is greater.
+//
+function addStep(value, amount, state) {
+  const digits = state.precision !== null ?
+    state.precision :
+    Math.max(decimalPlaces(value), decimalPlaces(state.step));
+  return roundTo(value + amount, digits);
+}
+
+//
+// Return the given value kept within the state's bounds, and rounded to the
+// precision we show it at (see effectivePrecision), so that our value is
+// always the one the user sees. An empty (null) or NaN value is returned as
+// is.
+//
+// Every way of setting the value goes through here, so unlike a native
+// input's, our value is only out of range if the minimum is above the
+// maximum. The minimum wins then, and validate reports the value as being
+// over the maximum.
+function constrainValue(value, state) {
+  if (value === null || Number.isNaN(value)) {
+    return value;
+  }
+  const { max, min } = state;
+  let result = roundTo(value, effectivePrecision(state));
+  if (max !== null && result > max) {
+    result = max;
+  }
+  if (min !== null && result < min) {
+    result = min;
+  }
+  return result;
+}
+
+//
+// The number of decimal places to show: the precision if one was given,
+// otherwise the number of decimal places in the step.
+//
+function effectivePrecision(state) {
+  const { precision, step } = state;
+  return precision !== null ? precision : decimalPlaces(step);
+}
+
+// The number of decimal places in the number as JavaScript writes it.
+function decimalPlaces(number) {
+  const decimals = String(number).split('.')[1];
+  return decimals ? decimals.length : 0;
+}
+
+//
+// Return the element's value as text formatted for its locale.
+//
+function formatValue(element) {
+  const value = element[internal.state].value;
+  return value === null ? '' : getNumberFormat(element).format(value);
+}
+
+//
+// Return the number format for the element's current locale and format
+// options. Creating a number format isn't cheap, so we keep the last one
+// we made and only make a new one when something it depends on changes.
+//
+function getNumberFormat(element) {
+  const state = element[internal.state];
+  const { currency, numberStyle, unit } = state;
+  const locale = state.locale || inheritedLanguage(element);
+
+  // Percentages show two fewer decimal places than the value has:
+  // 0.125 shows as "12.5%".
+  const precision = effectivePrecision(state);
+  const fractionDigits = numberStyle === 'percent' ?
+    Math.max(precision - 2, 0) :
+    precision;
+
+  const key = [locale, numberStyle, currency, unit, fractionDigits].join();
+  let numberFormat = numberFormats.get(element);
+  if (!numberFormat || numberFormat.key !== key) {
+    numberFormat = {
+      format: createNumberFormat(locale, {
+        currency,
+        fractionDigits,
+        style: numberStyle,
+        unit
+      }),
+      key
+    };
+    numberFormats.set(element, numberFormat);
+  }
+  return numberFormat.format;
+}
+
+//
+// Return the language given by the nearest "lang" attribute on the element
+// or its ancestors, or null if there isn't one. A SpinBox in another
+// component's shadow tree inherits the language of that component, so we
+// keep looking from the host of each shadow tree we're in.
+//
+// We look the language up whenever we show the value, but nothing tells us
+// when a "lang" attribute changes; the new language shows the next time the
+// value changes. A page that changes language can set the locale property
+// to have it show straight away.
+//
+function inheritedLanguage(element) {
+  let node = element;
+  while (node) {
+    const langElement = node.closest('[lang]');
+    if (langElement) {
+      return langElement.lang;
+    }
+    node = node.getRootNode().host;
+  }
+  return null;
+}
+
+//
+// Show the value in the input element, formatted for the locale. Unless
+// forced to, we leave text that already represents the value alone (say,
+// the user has typed "1." on the way to "1.5").
+//
+function renderInputText(element, force) {
+  const inputElement = element[internal.ids].input;
+  const value = element[internal.state].value;
+  const numberFormat = getNumberFormat(element);
+  if (force || numberFormat.parse(inputElement.value) !== value) {
+    inputElement.value = formatValue(element);
+  }
+}
+
+//
+// Convert text in JavaScript's own number format (as in an attribute) to
+// a value: null for empty text, NaN for text that isn't a number.
+//
+function parseValue(text) {
+  return text.trim() === '' ? null : Number(text);
+}
+
+//
+// Apply changes to the bounds, step or precision, and bring the current
+// value into line with them. We ignore changes that aren't valid for the
+// constraint -- say, a minimum that isn't a number, or a negative
+// precision -- leaving the state as it was, rather than let NaN into our
+// state or fail to render.
+//
+// We constrain the value that was asked for, rather than the value as the
+// old constraints left it. Attributes are applied in the order they're
+// written in, and <spin-box value="1.5" step="0.5"> should have the value
+// 1.5, not the 2 it was rounded to before the step was set.
+//
+function setConstraints(element, changes) {
+  const valid = Object.keys(changes).every((key) =>
+    constraintChecks[key](changes[key])
+  );
+  if (!valid) {
+    return;
+  }
+  const state = Object.assign({}, element[internal.state], changes);
+  const requested = requestedValues.has(element) ?
+    requestedValues.get(element) :
+    state.value;
+  const value = constrainValue(requested, state);
+  element[internal.setState](Object.assign({}, changes, { value }));
+}
+
+//
+// Set an ARIA attribute on the element, or remove it if there's no value.
+//
+function setAriaAttribute(element, name, value) {
+  if (value === null || value === '') {
+    element.removeAttribute(name);
+  } else {
+    element.setAttribute(name, value);
+  }
+}
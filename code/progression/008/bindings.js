@@ -0,0 +1,223 @@
+/**
+ * Template bindings let a component's template say where its state shows
+ * up, instead of the component's render method setting those things by
+ * hand. For example:
+ *
+ *   get [internal.template]() {
+ *     return html`
+ *       <div id="square" style="width: ${bind('squareSize')}px"></div>
+ *     `;
+ *   }
+ *
+ * A binding can go in a text node, in an attribute value, or in a
+ * declaration of a style attribute. Each time the component renders, only
+ * the bindings for state members that changed are recomputed, and only the
+ * ones whose text actually differs from what's in the DOM are written. The
+ * shadow tree itself is stamped once and never replaced.
+ *
+ * The template is shared by every instance of the component, so bindings
+ * name state members rather than interpolating any one instance's values.
+ */
+
+/**
+ * Bind to the state member with the given name. The optional format
+ * function turns the member's value into text; by default we use the value
+ * as is.
+ *
+ * In an attribute bound to nothing but a single binding, a value of null,
+ * undefined or false removes the attribute and a value of true sets it to
+ * the empty string, as with boolean attributes like "disabled".
+ */
+export function bind(key, format) {
+  return new Binding(key, format);
+}
+
+class Binding {
+  constructor(key, format) {
+    this.key = key;
+    this.format = format || ((value) => value);
+  }
+}
+
+export function isBinding(value) {
+  return value instanceof Binding;
+}
+
+/**
+ * The text that stands in for a binding in template markup until we've
+ * found where the binding is.
+ */
+export function bindingMarker(index) {
+  return `{{binding-${index}}}`;
+}
+
+const markerRegEx = /{{binding-(\d+)}}/g;
+
+/**
+ * Find the binding markers in a template's content, remove them, and
+ * return descriptions of where each binding goes. The descriptions use
+ * paths of child indexes, so they apply to any copy of the content.
+ */
+export function extractBindings(templateElement, bindings) {
+  const descriptors = [];
+  walk(templateElement.content, [], (node, path) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const parts = splitParts(node.data, bindings);
+      if (parts) {
+        descriptors.push({ kind: 'text', parts, path });
+        node.data = '';
+      }
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      Array.from(node.attributes).forEach((attribute) => {
+        if (attribute.name === 'style') {
+          extractStyleBindings(node, path, bindings, descriptors);
+        } else {
+          const parts = splitParts(attribute.value, bindings);
+          if (parts) {
+            const name = attribute.name;
+            descriptors.push({ kind: 'attribute', name, parts, path });
+            node.removeAttribute(attribute.name);
+          }
+        }
+      });
+    }
+  });
+  return descriptors;
+}
+
+/**
+ * Return the bound parts of a stamped copy of the template, ready to be
+ * updated.
+ */
+export function attachBindings(root, descriptors) {
+  return descriptors.map((descriptor) => {
+    const node = descriptor.path.reduce(
+      (parent, index) => parent.childNodes[index],
+      root
+    );
+    return Object.assign({ node, value: undefined }, descriptor);
+  });
+}
+
+/**
+ * Return true if the tree has a node of the right kind at each of the
+ * descriptors' paths: that is, if it has the shape of the template the
+ * descriptors came from.
+ */
+export function canAttachBindings(root, descriptors) {
+  return descriptors.every((descriptor) => {
+    const node = descriptor.path.reduce(
+      (parent, index) => parent && parent.childNodes[index],
+      root
+    );
+    const nodeType = descriptor.kind === 'text' ?
+      Node.TEXT_NODE :
+      Node.ELEMENT_NODE;
+    return node !== undefined && node.nodeType === nodeType;
+  });
+}
+
+/**
+ * Update the bound parts that depend on the changed state members, writing
+ * only those whose value differs from the last one written.
+ */
+export function updateBindings(boundParts, state, changed) {
+  boundParts.forEach((boundPart) => {
+    const affected = boundPart.parts.some(
+      (part) => isBinding(part) && changed[part.key]
+    );
+    if (!affected) {
+      return;
+    }
+
+    const value = partsValue(boundPart.parts, state);
+    if (value === boundPart.value) {
+      return;
+    }
+    boundPart.value = value;
+
+    const node = boundPart.node;
+    if (boundPart.kind === 'text') {
+      node.data = value === null ? '' : value;
+    } else if (boundPart.kind === 'style') {
+      if (value === null) {
+        node.style.removeProperty(boundPart.name);
+      } else {
+        node.style.setProperty(boundPart.name, value);
+      }
+    } else if (value === null) {
+      node.removeAttribute(boundPart.name);
+    } else {
+      node.setAttribute(boundPart.name, value);
+    }
+  });
+}
+
+//
+// Pull the declarations with bindings out of an element's style attribute,
+// leaving the rest in place.
+//
+function extractStyleBindings(element, path, bindings, descriptors) {
+  const declarations = element.getAttribute('style').split(';');
+  const staticDeclarations = declarations.filter((declaration) => {
+    const colon = declaration.indexOf(':');
+    const parts = colon >= 0 ?
+      splitParts(declaration.slice(colon + 1).trim(), bindings) :
+      null;
+    if (parts) {
+      const name = declaration.slice(0, colon).trim();
+      descriptors.push({ kind: 'style', name, parts, path });
+    }
+    return !parts && declaration.trim() !== '';
+  });
+  if (staticDeclarations.length > 0) {
+    element.setAttribute('style', staticDeclarations.join(';'));
+  } else {
+    element.removeAttribute('style');
+  }
+}
+
+//
+// The text for a list of parts, where each part is static text or a
+// binding. Returns null if the only part is a binding whose value is null,
+// undefined or false.
+//
+function partsValue(parts, state) {
+  if (parts.length === 1 && isBinding(parts[0])) {
+    const value = parts[0].format(state[parts[0].key]);
+    if (value === null || value === undefined || value === false) {
+      return null;
+    }
+    return value === true ? '' : String(value);
+  }
+  return parts
+    .map((part) => isBinding(part) ? part.format(state[part.key]) : part)
+    .join('');
+}
+
+//
+// Split text into static strings and bindings, or return null if the text
+// has no binding markers.
+//
+function splitParts(text, bindings) {
+  const pieces = text.split(markerRegEx);
+  if (pieces.length === 1) {
+    return null;
+  }
+  // The split alternates static text and the captured binding indexes.
+  return pieces
+    .map((piece, index) => index % 2 === 1 ? bindings[piece] : piece)
+    .filter((part) => part !== '');
+}
+
+//
+// Call the callback for each node in the tree below the given node, with
+// the path of child indexes that leads to it.
+//
+function walk(parent, parentPath, callback) {
+  Array.from(parent.childNodes).forEach((node, index) => {
+    const path = [...parentPath, index];
+    callback(node, path);
+    walk(node, path, callback);
+  });
+}
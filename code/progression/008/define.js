@@ -0,0 +1,125 @@
+/**
+ * Helpers for registering components without tripping over tag names
+ * that are already taken.
+ *
+ * customElements.define throws if a tag name has already been defined,
+ * which happens as soon as a page loads two versions of a component -- two
+ * steps of this progression, say, or two bundles that each include a
+ * copy. So we define each component under a versioned name that's unique
+ * to this copy, and under its plain name only if that's still free:
+ *
+ *   define('spin-box-008', SpinBox);
+ *   define('spin-box', SpinBox);
+ *
+ * A component can also keep the elements its shadow tree uses out of the
+ * global registry altogether, with a scoped registry (see scopedRegistry).
+ */
+
+// The classes our aliases stand in for, keyed by alias.
+const aliases = new WeakMap();
+
+// Registered classes, for registries that can't tell us, keyed by
+// registry.
+const registeredClasses = new WeakMap();
+
+// Browsers that support scoped registries let us construct one.
+const supportsScopedRegistries = (() => {
+  try {
+    new CustomElementRegistry();
+    return true;
+  } catch (e) {
+    return false;
+  }
+})();
+
+/**
+ * Define the class as the tag name, unless the tag name is already taken.
+ * Returns true if the tag name now refers to this class.
+ *
+ * A class can only be defined once in a registry, so defining it under a
+ * second name defines a trivial subclass -- an alias -- instead.
+ *
+ * The registry defaults to the global one, customElements.
+ */
+export function define(tagName, classFn, registry = customElements) {
+  const existing = registry.get(tagName);
+  if (existing) {
+    return existing === classFn || aliases.get(existing) === classFn;
+  }
+  if (isDefined(classFn, registry)) {
+    const alias = class extends classFn {};
+    aliases.set(alias, classFn);
+    registry.define(tagName, alias);
+  } else {
+    registry.define(tagName, classFn);
+    recordDefinition(classFn, registry);
+  }
+  return true;
+}
+
+/**
+ * Return the class that the given class is an alias for (see define), or
+ * the class itself if it isn't an alias. An alias is the same component
+ * under another name, so code that keeps things per component class, like
+ * ShadowHelperMixin's templates and styles, looks them up by this class.
+ */
+export function aliasedClass(classFn) {
+  return aliases.get(classFn) || classFn;
+}
+
+/**
+ * Return a registry with the given definitions, an object mapping tag
+ * names to classes, for a component to use in its shadow root. Each call
+ * makes a new registry, and every shadow root of a component should use
+ * the same one, so a component makes its registry once, when its module
+ * loads:
+ *
+ *   const registry = scopedRegistry({ 'spin-button': SpinButton });
+ *
+ *   class Stepper extends ReactiveMixin(ShadowHelperMixin(HTMLElement)) {
+ *     get [internal.shadowRootOptions]() {
+ *       return Object.assign(super[internal.shadowRootOptions], {
+ *         customElementRegistry: registry
+ *       });
+ *     }
+ *   }
+ *
+ * Elements in the shadow root then use these definitions, whatever the
+ * page has defined globally under the same names.
+ *
+ * Browsers without scoped registries get the definitions in the global
+ * registry instead (where the names are still free), and null, which
+ * attachShadow takes to mean the global registry.
+ */
+export function scopedRegistry(definitions) {
+  let registry = null;
+  if (supportsScopedRegistries) {
+    registry = new CustomElementRegistry();
+  }
+  Object.keys(definitions).forEach((tagName) => {
+    define(tagName, definitions[tagName], registry || customElements);
+  });
+  return registry;
+}
+
+//
+// Return true if the class has been defined in the registry under any
+// name. Newer browsers can look that up; in others we remember the classes
+// we've defined ourselves.
+//
+function isDefined(classFn, registry) {
+  if (registry.getName) {
+    return registry.getName(classFn) !== null;
+  }
+  const classes = registeredClasses.get(registry);
+  return classes ? classes.has(classFn) : false;
+}
+
+function recordDefinition(classFn, registry) {
+  let classes = registeredClasses.get(registry);
+  if (!classes) {
+    classes = new WeakSet();
+    registeredClasses.set(registry, classes);
+  }
+  classes.add(classFn);
+}
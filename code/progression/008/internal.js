@@ -0,0 +1,163 @@
+/**
+ * The Symbols that name the internal members our mixins and components
+ * share with one another.
+ *
+ * In 007 we saw how the "template" Symbol let ShadowHelperMixin and
+ * SpinBox communicate without adding a "template" property to SpinBox's
+ * public API. We now apply that idea to every member that exists for the
+ * benefit of the mixins rather than of the page, and collect the Symbols
+ * here. Code that needs them imports this module:
+ *
+ *   import * as internal from './internal.js';
+ *
+ *   get [internal.template]() { ... }
+ *
+ * Page scripts can then only reach a component's real public API, such as
+ * SpinBox's "value".
+ *
+ * Data that only one module needs, like ReactiveMixin's record of what has
+ * changed since the last render, doesn't need a Symbol at all. The module
+ * keeps it in a WeakMap keyed by element, so it never appears on the
+ * element.
+ */
+
+//
+// ShadowHelperMixin
+//
+
+// Implemented by components for one-time initialization, such as hooking
+// up event listeners, once renderHelper has stamped the template.
+export const firstRender = Symbol("firstRender");
+
+// A template's "data-on-" attributes name the internal methods that handle
+// its elements' events. <input data-on-input="handleInputInput"> calls the
+// component's [internal.handleInputInput] method for each "input" event on
+// the input. These are the handlers SpinBox's template names.
+export const handleInputChange = Symbol("handleInputChange");
+export const handleInputInput = Symbol("handleInputInput");
+
+// The elements in the shadow tree that have an id, keyed by id.
+export const ids = Symbol("ids");
+
+// Implemented by components (or mixins) that adjust each copy of the
+// template's content before it goes into the shadow root. The copy must
+// keep the same shape, since template bindings find their nodes by
+// position.
+export const prepareContent = Symbol("prepareContent");
+
+// Stamps the template (or hydrates a shadow root rendered on the server)
+// the first time it's called, and updates template bindings for the given
+// changes; returns true on the first call.
+export const renderHelper = Symbol("renderHelper");
+
+// Components should reach their shadow root through the "shadowRoot"
+// Symbol rather than the standard shadowRoot property. That works the
+// same way for open and closed roots, since for a closed root the
+// standard property is always null.
+export const shadowRoot = Symbol("shadowRoot");
+
+// A component can choose how its shadow root is attached by overriding
+// the "shadowRootOptions" property getter. The value is passed to
+// attachShadow, so it can request a closed root, delegatesFocus, or
+// slotAssignment: 'manual'.
+export const shadowRootOptions = Symbol("shadowRootOptions");
+
+// Stamps the template into the shadow root again, replacing its contents.
+export const stampTemplate = Symbol("stampTemplate");
+
+// A component supplies its styles with a "styles" property getter,
+// returning CSS text (e.g., from the css helper) or a CSSStyleSheet.
+export const styles = Symbol("styles");
+
+// A component supplies its template with a "template" property getter,
+// returning an HTMLTemplateElement (e.g., from the html helper) or a
+// string of markup.
+export const template = Symbol("template");
+
+//
+// ReactiveMixin
+//
+
+// Returns the component's initial state.
+export const defaultState = Symbol("defaultState");
+
+// Components should only raise events like "input" and "change" for state
+// changes the user made, not ones the page made by setting a property.
+// Event handlers that respond to the user set "raiseChangeEvents" to true
+// while they update state, and back to false afterwards:
+//
+//   this[internal.raiseChangeEvents] = true;
+//   this.stepUp();
+//   this[internal.raiseChangeEvents] = false;
+//
+// Since rendering happens later, ReactiveMixin remembers that a change came
+// from the user and sets "raiseChangeEvents" again while it renders that
+// change. Render can then check the flag to decide whether to raise events.
+export const raiseChangeEvents = Symbol("raiseChangeEvents");
+
+// Renders the given changes in state.
+export const render = Symbol("render");
+
+// Renders any changes in state that haven't been rendered yet.
+export const renderChanges = Symbol("renderChanges");
+
+// Applies changes to the state.
+export const setState = Symbol("setState");
+
+// The component's current, immutable state.
+export const state = Symbol("state");
+
+//
+// ConnectionSignalMixin
+//
+
+// An AbortSignal that's aborted when the component is disconnected from
+// the page; null while it isn't connected.
+export const connectionSignal = Symbol("connectionSignal");
+
+//
+// FormElementMixin
+//
+
+// A component supplies its validity by overriding the "validate" method.
+// It returns an object with the ValidityState flags that apply and a
+// message describing the first of them:
+//
+//   { flags: { rangeOverflow: true }, message: 'Value must be 10 or less.' }
+//
+// An empty flags object means the component is valid.
+export const validate = Symbol("validate");
+
+//
+// HistoryMixin
+//
+
+// Ends the history entry that the user's changes are being merged into.
+export const checkpoint = Symbol("checkpoint");
+
+//
+// KeyboardMixin
+//
+
+// Handles a keydown event; returns true if the key was handled.
+export const keydown = Symbol("keydown");
+
+// The methods KeyboardMixin calls for particular keys. A component
+// overrides the ones for the keys it cares about, and returns true if it
+// handled the key.
+export const keyArrowDown = Symbol("keyArrowDown");
+export const keyArrowUp = Symbol("keyArrowUp");
+export const keyEnd = Symbol("keyEnd");
+export const keyHome = Symbol("keyHome");
+export const keyPageDown = Symbol("keyPageDown");
+export const keyPageUp = Symbol("keyPageUp");
+
+//
+// AutoRepeatMixin
+//
+
+// Components call the "autoRepeat" method to make an element, typically a
+// button, repeat an action for as long as it's held down. An optional
+// release callback is invoked when the element is let go, however the
+// press ends.
+export const autoRepeat = Symbol("autoRepeat");
@@ -0,0 +1,143 @@
+/**
+ * Locale-aware number formatting and parsing, built on Intl.NumberFormat.
+ *
+ * Intl.NumberFormat can format numbers for any locale, but it can't parse
+ * them. We learn what a locale's formatted numbers look like -- its digits,
+ * decimal and group separators, minus sign, and any currency, percent or
+ * unit symbols -- from formatToParts, and use that to read text back.
+ */
+
+/**
+ * Return an object with "format" and "parse" functions for the given
+ * locale and options. The options are those of Intl.NumberFormat that make
+ * sense for an editable number: style ('decimal', 'currency', 'percent' or
+ * 'unit'), currency, unit, and fractionDigits (the number of decimal places
+ * to show).
+ *
+ * If the locale or options aren't supported (say, an unknown currency
+ * code, or a number of decimal places out of range) we fall back to
+ * formatting plain decimal numbers in the browser's default locale, rather
+ * than breaking the component.
+ */
+export function createNumberFormat(locale, options) {
+  const { currency, fractionDigits, style, unit } = options;
+  const formatOptions = {
+    maximumFractionDigits: fractionDigits,
+    minimumFractionDigits: fractionDigits,
+    style: style || 'decimal'
+  };
+  if (currency) {
+    formatOptions.currency = currency;
+  }
+  if (unit) {
+    formatOptions.unit = unit;
+  }
+
+  let numberFormat;
+  try {
+    numberFormat = new Intl.NumberFormat(locale || undefined, formatOptions);
+  } catch (e) {
+    // The number of decimal places may be what isn't supported, so we
+    // fall back to the nearest number that is, if there is one.
+    const fallbackDigits = supportedFractionDigits(fractionDigits);
+    numberFormat = new Intl.NumberFormat(undefined, {
+      maximumFractionDigits: fallbackDigits,
+      minimumFractionDigits: fallbackDigits
+    });
+  }
+
+  const parse = createParser(numberFormat);
+
+  return {
+    format: (value) => numberFormat.format(value),
+    parse
+  };
+}
+
+//
+// Return a function that parses text formatted by the given NumberFormat.
+// The function returns null for empty text, and NaN for text that isn't a
+// number.
+//
+function createParser(numberFormat) {
+  const { maximumFractionDigits, style } = numberFormat.resolvedOptions();
+  const parts = numberFormat.formatToParts(-12345.6);
+  const partValue = (type) => {
+    const part = parts.find((part) => part.type === type);
+    return part ? part.value : null;
+  };
+  const decimal = partValue('decimal') || '.';
+  const group = partValue('group');
+  const minusSign = partValue('minusSign') || '-';
+
+  // Symbols that decorate the number but aren't part of it.
+  const decorations = parts
+    .filter((part) =>
+      ['currency', 'literal', 'percentSign', 'unit'].includes(part.type)
+    )
+    .map((part) => part.value);
+
+  // The locale's digits, which may not be 0-9.
+  const digitFormat = new Intl.NumberFormat(
+    numberFormat.resolvedOptions().locale,
+    { useGrouping: false }
+  );
+  const digits = {};
+  for (let digit = 0; digit <= 9; digit++) {
+    digits[digitFormat.format(digit)] = String(digit);
+  }
+
+  return (text) => {
+    let normalized = text;
+    decorations.forEach((decoration) => {
+      normalized = normalized.split(decoration).join('');
+    });
+
+    // Spaces, including the non-breaking spaces some locales group digits
+    // with, and direction marks, never matter.
+    normalized = normalized.replace(/[\s\u061c\u200e\u200f]/g, '');
+    if (group) {
+      normalized = normalized.split(group).join('');
+    }
+    normalized = normalized
+      .split(decimal).join('.')
+      .split(minusSign).join('-')
+      .replace(/\u2212/g, '-')
+      .replace(/./g, (character) => digits[character] || character);
+
+    if (normalized === '') {
+      return null;
+    }
+    if (!/^-?(\d+\.?\d*|\.\d+)$/.test(normalized)) {
+      return NaN;
+    }
+    const value = Number(normalized);
+    if (style !== 'percent') {
+      return value;
+    }
+    // Dividing by 100 leaves tiny errors (1.1 / 100 is
+    // 0.011000000000000001), so we round the result to the number of
+    // decimal places the percentage can have, plus the two we added.
+    return roundTo(value / 100, maximumFractionDigits + 2);
+  };
+}
+
+//
+// Return the number of decimal places closest to the given one that every
+// Intl.NumberFormat supports: a whole number from 0 to 20. Anything else
+// (NaN, say) gives undefined, meaning the format's default.
+//
+function supportedFractionDigits(fractionDigits) {
+  if (!Number.isFinite(fractionDigits)) {
+    return undefined;
+  }
+  return Math.min(Math.max(Math.round(fractionDigits), 0), 20);
+}
+
+/**
+ * Round the number to the given number of decimal places.
+ */
+export function roundTo(number, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(number * factor) / factor;
+}
@@ -0,0 +1,192 @@
+import * as internal from './internal.js';
+
+/**
+ * Render components to HTML on the server, using Declarative Shadow DOM,
+ * so a page shows each component's shadow tree, styled, before any
+ * script has run:
+ *
+ *   <spin-box value="5">
+ *     <template shadowrootmode="open" shadowrootdelegatesfocus>
+ *       <style>...</style>
+ *       <input id="input" part="input" value="5">
+ *       ...
+ *     </template>
+ *   </spin-box>
+ *
+ * The template asks for the mode the component's shadowRootOptions give,
+ * so a component with a closed shadow root gets a closed one from the
+ * server too.
+ *
+ * When the component's script loads, ShadowHelperMixin finds the shadow
+ * root the browser made from that template and hydrates it, rather than
+ * stamping the template again. A closed root can only be found through
+ * the component's ElementInternals, so a component with a closed root
+ * must attach its internals in its constructor for its root to be
+ * hydrated; otherwise the template is stamped into the root.
+ *
+ * Node has no DOM of its own, so the renderer runs the components in a DOM
+ * implementation such as jsdom, which the caller supplies. That way the
+ * server runs exactly the same render code as the browser. The window's
+ * globals have to be installed before the component modules are imported,
+ * since defining a component needs HTMLElement and customElements:
+ *
+ *   import { JSDOM } from 'jsdom';
+ *   import { installGlobals, renderToString } from './ssr.js';
+ *
+ *   installGlobals(new JSDOM().window);
+ *   await import('./SpinBox.js');
+ *   const markup = renderToString('spin-box', { value: '5', max: '10' });
+ *
+ * The shadow roots of components nested inside a component's shadow tree
+ * aren't rendered; those components render when their script loads.
+ */
+
+// The window globals that our components and mixins use.
+const globalNames = [
+  'AbortController',
+  'CustomEvent',
+  'CSSStyleSheet',
+  'customElements',
+  'document',
+  'DocumentFragment',
+  'Element',
+  'Event',
+  'EventTarget',
+  'HTMLElement',
+  'HTMLTemplateElement',
+  'Node',
+  'ShadowRoot'
+];
+
+/**
+ * Make the given window's DOM the global one, as it is in a browser.
+ */
+export function installGlobals(window) {
+  globalNames.forEach((name) => {
+    if (window[name]) {
+      globalThis[name] = window[name];
+    }
+  });
+  globalThis.window = window;
+}
+
+/**
+ * Return the HTML for the component with the given tag name, with the
+ * given attributes and light DOM content, including its shadow tree as a
+ * declarative shadow root. The component's module must already have been
+ * imported. The attributes determine the component's state, just as they
+ * do when the browser parses the HTML, so the result hydrates to a
+ * component in the same state.
+ */
+export function renderToString(tagName, attributes = {}, content = '') {
+  if (!customElements.get(tagName)) {
+    throw new Error(
+      `<${tagName}> hasn't been defined; import its module first.`
+    );
+  }
+
+  const element = document.createElement(tagName);
+  Object.keys(attributes).forEach((name) => {
+    element.setAttribute(name, attributes[name]);
+  });
+  element.innerHTML = content;
+
+  // Adding the element to the document renders it. The first render can
+  // itself change the state (SlotContentMixin reads the slots then, for
+  // one), so we render those changes too rather than wait for them.
+  document.body.appendChild(element);
+  element[internal.renderChanges]();
+  const markup = serializeElement(element);
+  element.remove();
+  return markup;
+}
+
+//
+// Return the element's HTML, including its shadow tree as a template.
+//
+function serializeElement(element) {
+  const root = element[internal.shadowRoot];
+  const tagName = element.localName;
+  const attributes = Array.from(element.attributes)
+    .map((attribute) =>
+      attribute.value === '' ?
+        ` ${attribute.name}` :
+        ` ${attribute.name}="${escapeAttribute(attribute.value)}"`
+    )
+    .join('');
+
+  let shadowMarkup = '';
+  if (root) {
+    const options = element[internal.shadowRootOptions];
+    const delegatesFocus = options.delegatesFocus ?
+      ' shadowrootdelegatesfocus' :
+      '';
+    shadowMarkup =
+      `<template shadowrootmode="${options.mode}"${delegatesFocus}>` +
+      serializeShadowRoot(root) +
+      `</template>`;
+  }
+
+  return `<${tagName}${attributes}>${shadowMarkup}${element.innerHTML}` +
+    `</${tagName}>`;
+}
+
+//
+// Return the HTML for the shadow root's contents, with its styles first.
+//
+function serializeShadowRoot(root) {
+  // Shadow roots can't be serialized with their adopted stylesheets, so
+  // we write out the text of those, and of any <style> elements, as a
+  // single <style> element.
+  const styleElements = Array.from(root.children).filter(
+    (child) => child.localName === 'style'
+  );
+  const cssTexts = [
+    ...Array.from(root.adoptedStyleSheets || []).map(cssTextOfSheet),
+    ...styleElements.map((style) => style.textContent)
+  ];
+  const styleMarkup = cssTexts.length > 0 ?
+    `<style>${cssTexts.join('\n')}</style>` :
+    '';
+
+  // HTML only records an input's initial value, in its "value" attribute,
+  // so we copy each input's current value there.
+  root.querySelectorAll('input').forEach((input) => {
+    input.setAttribute('value', input.value);
+  });
+
+  const contentMarkup = Array.from(root.childNodes)
+    .filter((node) => !styleElements.includes(node))
+    .map(serializeNode)
+    .join('');
+
+  return styleMarkup + contentMarkup;
+}
+
+function serializeNode(node) {
+  switch (node.nodeType) {
+    case Node.ELEMENT_NODE:
+      return node.outerHTML;
+    case Node.COMMENT_NODE:
+      return `<!--${node.data}-->`;
+    default:
+      return escapeText(node.textContent);
+  }
+}
+
+function cssTextOfSheet(sheet) {
+  return Array.from(sheet.cssRules)
+    .map((rule) => rule.cssText)
+    .join('\n');
+}
+
+function escapeAttribute(text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function escapeText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,65 @@
+/**
+ * Helpers for creating the HTMLTemplateElement a component stamps into
+ * its shadow root. With these, a component can define its template in its
+ * own module instead of depending on a <template id> in the host page.
+ */
+
+import { bindingMarker, extractBindings, isBinding } from './bindings.js';
+
+export { bind } from './bindings.js';
+
+/**
+ * A tagged template literal that returns an HTMLTemplateElement whose
+ * content is the given markup:
+ *
+ *   get [internal.template]() {
+ *     return html`
+ *       <style>...</style>
+ *       <input id="input">
+ *     `;
+ *   }
+ *
+ * Substitutions are inserted as-is. This helper is meant for building a
+ * component's template once per class, not for rendering state, so it
+ * doesn't escape its substitutions.
+ *
+ * The exception is a substitution made with bind (see bindings.js), which
+ * binds that spot in the template to a member of the component's state.
+ * The template's "bindings" property lists where its bindings go, for
+ * ShadowHelperMixin to use.
+ */
+export function html(strings, ...substitutions) {
+  const bindings = [];
+  const markupSubstitutions = substitutions.map((substitution) => {
+    if (isBinding(substitution)) {
+      bindings.push(substitution);
+      return bindingMarker(bindings.length - 1);
+    }
+    return substitution;
+  });
+
+  const markup = String.raw(strings, ...markupSubstitutions);
+  const templateElement = createTemplate(markup);
+  templateElement.bindings = bindings.length > 0 ?
+    extractBindings(templateElement, bindings) :
+    [];
+  return templateElement;
+}
+
+/**
+ * Return an HTMLTemplateElement whose content is the given markup.
+ */
+export function createTemplate(markup) {
+  const templateElement = document.createElement('template');
+  templateElement.innerHTML = markup;
+  return templateElement;
+}
+
+/**
+ * A tagged template literal for a component's styles. It simply returns
+ * the CSS text; ShadowHelperMixin turns that into a stylesheet shared by
+ * every instance of the component.
+ */
+export function css(strings, ...substitutions) {
+  return String.raw(strings, ...substitutions);
+}
@@ -1,108 +1,100 @@
 //
 // Adapted from https://github.com/mdn/web-components-examples/tree/master/life-cycle-callbacks
 //
-// Vanilla Javascript. Changing web component properties through attributes only.
-// Notice how the attributeChangedCallback serves as a sort of state, causing a
-// render to be invoked upon change.
+// Changing web component properties through attributes or properties. Both
+// routes go through ReactiveMixin's setState, so setting several properties
+// in a row results in a single render.
+//
+// LifecycleTraceMixin records each life cycle callback and render, and the
+// page shows the trace (see main.js).
 //
 
-// Create a class for the element
-class Square extends HTMLElement {
-
-  // Specify observed attributes for invocation of attributeChangedCallback
-  static get observedAttributes() {
-    return ['square-color', 'square-size'];
-  }  
-
-  constructor() {
-    // Always call super first in constructor
-    super();
-
-    console.log('Custom square element constructor called');
-
-    // Initialize properties
-    this._squareSize = 100;
-    this._squareColor = '#0000ff';
-
-    // Create and attach a shadow root to the HTMLElement
-    const shadow = this.attachShadow({mode: 'open'});
+import { AttributeMarshallingMixin } from '../../progression/008/AttributeMarshallingMixin.js';
+import { define } from '../../progression/008/define.js';
+import * as internal from '../../progression/008/internal.js';
+import { LifecycleTraceMixin } from '../../progression/008/LifecycleTraceMixin.js';
+import { ReactiveMixin } from '../../progression/008/ReactiveMixin.js';
+import { ShadowHelperMixin } from '../../progression/008/ShadowHelperMixin.js';
+import { bind, css, html } from '../../progression/008/template.js';
 
-    // Create a template element and populate its html with our template string
-    const templateElement = document.createElement('template');
-    templateElement.innerHTML = this.templateString;
+// Create a class for the element
+class Square extends LifecycleTraceMixin(
+  AttributeMarshallingMixin(ReactiveMixin(ShadowHelperMixin(HTMLElement)))
+) {
+
+  // Declare properties; AttributeMarshallingMixin observes the matching
+  // "square-color" and "square-size" attributes.
+  static get properties() {
+    return Object.assign({}, super.properties, {
+      squareColor: { type: 'string' },
+      squareSize: { type: 'number' }
+    });
+  }
 
-    // "Stamp" the template into the shadow root
-    shadow.appendChild(templateElement.content.cloneNode(true));
+  // A square without a size or color attribute (or property) gets its size
+  // and color from the page's CSS; see the styles below.
+  get [internal.defaultState]() {
+    return Object.assign(super[internal.defaultState], {
+      squareSize: null,
+      squareColor: null
+    });
   }
 
   get squareSize() {
-    return this._squareSize;
+    return this[internal.state].squareSize;
   }
   set squareSize(squareSize) {
-    console.log('Setting squareSize property and calling render');
-    this._squareSize = squareSize;    
-    this.render();
+    this[internal.setState]({ squareSize });
   }
 
   get squareColor() {
-    return this._squareColor;
+    return this[internal.state].squareColor;
   }
   set squareColor(squareColor) {
-    console.log('Setting squareColor property and calling render');
-    this._squareColor = squareColor;
-    this.render();
+    this[internal.setState]({ squareColor });
   }
 
-  get templateString() {
-    return `
-      <style>
-        #square {
-          width: ${this.squareSize}px;
-          height: ${this.squareSize}px;
-          background-color: ${this.squareColor};
-        }              
-      </style>
-      <div id="square">
+  // The template is shared by every square, so it can't interpolate any one
+  // square's state. Instead it binds the square's style to the state; when
+  // the state changes, only the bound style properties that are affected
+  // get updated. A binding whose value is null removes its style property,
+  // which lets the styles below show through.
+  get [internal.template]() {
+    const px = (value) => value === null ? null : `${value}px`;
+    return html`
+      <div id="square" part="square" style="
+        width: ${bind('squareSize', px)};
+        height: ${bind('squareSize', px)};
+        background-color: ${bind('squareColor')};
+      ">
       </div>
     `;
   }
 
-  connectedCallback() {
-    console.log('Custom square element added to page: connectedCallback');
-    this.render();
-  }
-
-  disconnectedCallback() {
-    console.log('Custom square element removed from page: disconnectedCallback');
-  }
-
-  adoptedCallback() {
-    console.log('Custom square element moved to new page: adoptedCallback');
-  }
-
-  attributeChangedCallback(name, oldValue, newValue) {
-    console.log('Custom square element attributes changed: attributeChangedCallback');
-
-    const propertyName = attributeToPropertyName(name);
-
-    this[propertyName] = newValue;
+  // The page can style the square as the "square" part, or set these CSS
+  // custom properties, which the square uses when it doesn't have a
+  // size or color of its own:
+  //
+  //   --custom-square-color  the square's color (blue by default)
+  //   --custom-square-size   the square's width and height (100px by
+  //                          default)
+  get [internal.styles]() {
+    return css`
+      #square {
+        background-color: var(--custom-square-color, #0000ff);
+        height: var(--custom-square-size, 100px);
+        width: var(--custom-square-size, 100px);
+      }
+    `;
   }
 
-  render() {
-    const customSquare = this.shadowRoot.getElementById('square');
+  [internal.render](changed) {
+    super[internal.render](changed);
 
-    customSquare.style.width = `${this.squareSize}px`;
-    customSquare.style.height = `${this.squareSize}px`;
-    customSquare.style.backgroundColor = `${this.squareColor}`;
+    // Stamp the template into the shadow root the first time we render,
+    // and update the template's bindings for the changes in state.
+    this[internal.renderHelper](changed);
   }
 }
 
-customElements.define('custom-square', Square);
-
-// Convert "kabob-case" to "camelCase"
-function attributeToPropertyName(attributeName) {
-  const hypenRegEx = /-([a-z])/g;
-  return attributeName.replace(hypenRegEx, (match) => 
-    match[1].toUpperCase()
-  );
-}
\ No newline at end of file
+define('custom-square', Square);
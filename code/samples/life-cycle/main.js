@@ -3,6 +3,13 @@
 //
 // Vanilla Javascript. Changing web component properties through attributes only.
 //
+// We turn on life cycle tracing before Square.js defines the custom-square
+// element, so the trace includes the upgrade of the square in the page.
+//
+
+import { lifecycleLog } from '../../progression/008/LifecycleTraceMixin.js';
+
+lifecycleLog.enabled = true;
 
 const add = document.querySelector('.add');
 const update = document.querySelector('.update');
@@ -44,3 +51,24 @@ remove.onclick = function() {
   remove.disabled = true;
   add.disabled = false;
 };    
+
+// Show each trace entry in the page as it's recorded
+const trace = document.querySelector('.trace');
+lifecycleLog.addEventListener('entry', (event) => {
+  const entry = event.detail;
+  const item = document.createElement('li');
+  item.textContent = `${entry.time.toFixed(1)}ms ${entry.localName} ` +
+    `${entry.type}${describeDetail(entry)}`;
+  trace.appendChild(item);
+});
+
+function describeDetail(entry) {
+  const detail = entry.detail;
+  if (entry.type === 'attributeChanged') {
+    return `: ${detail.name} ${detail.oldValue} -> ${detail.newValue}`;
+  } else if (entry.type === 'firstRender' || entry.type === 'render') {
+    return `: ${detail.changed.join(', ')}`;
+  } else {
+    return '';
+  }
+}
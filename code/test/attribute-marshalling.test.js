@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { flush, installWindow } from './dom.js';
+
+installWindow();
+const internal = await import('../progression/008/internal.js');
+const { AttributeMarshallingMixin } =
+  await import('../progression/008/AttributeMarshallingMixin.js');
+const { ReactiveMixin } = await import('../progression/008/ReactiveMixin.js');
+
+// A component with a property of each type, kept in its state.
+class TestProperties extends AttributeMarshallingMixin(
+  ReactiveMixin(HTMLElement)
+) {
+  static get properties() {
+    return Object.assign({}, super.properties, {
+      checked: { type: 'boolean' },
+      label: { type: 'string' },
+      options: { type: 'json' },
+      size: { type: 'number' }
+    });
+  }
+
+  get [internal.defaultState]() {
+    return Object.assign(super[internal.defaultState], {
+      checked: false,
+      options: {},
+      size: 10
+    });
+  }
+}
+['checked', 'label', 'options', 'size'].forEach((name) => {
+  Object.defineProperty(TestProperties.prototype, name, {
+    get() {
+      return this[internal.state][name];
+    },
+    set(value) {
+      this[internal.setState]({ [name]: value });
+    }
+  });
+});
+customElements.define('test-properties', TestProperties);
+
+// The same properties, each reflected to its attribute.
+class TestReflectedProperties extends TestProperties {
+  static get properties() {
+    return Object.assign({}, super.properties, {
+      checked: { type: 'boolean', reflect: true },
+      label: { type: 'string', reflect: true },
+      options: { type: 'json', reflect: true },
+      size: { type: 'number', reflect: true }
+    });
+  }
+}
+customElements.define('test-reflected-properties', TestReflectedProperties);
+
+describe('progression 008: AttributeMarshallingMixin', () => {
+  it('observes the attributes for the declared properties', () => {
+    assert.deepEqual(TestProperties.observedAttributes,
+      ['checked', 'label', 'options', 'size']);
+  });
+
+  it('converts attributes to the declared types', () => {
+    const element = document.createElement('test-properties');
+    element.setAttribute('checked', '');
+    element.setAttribute('label', 'Size');
+    element.setAttribute('options', '{"unit":"px"}');
+    element.setAttribute('size', '12.5');
+    assert.equal(element.checked, true);
+    assert.equal(element.label, 'Size');
+    assert.deepEqual(element.options, { unit: 'px' });
+    assert.equal(element.size, 12.5);
+  });
+
+  it('ignores attributes that aren\'t valid JSON', () => {
+    const element = document.createElement('test-properties');
+    element.setAttribute('options', '{"unit":"px"}');
+    assert.doesNotThrow(() => element.setAttribute('options', '{unit'));
+    assert.deepEqual(element.options, { unit: 'px' });
+  });
+
+  it('puts properties back to their defaults when attributes are removed',
+    () => {
+      const element = document.createElement('test-properties');
+      element.setAttribute('checked', '');
+      element.setAttribute('label', 'Size');
+      element.setAttribute('options', '[1]');
+      element.setAttribute('size', '20');
+      ['checked', 'label', 'options', 'size'].forEach((name) => {
+        element.removeAttribute(name);
+      });
+      assert.equal(element.checked, false);
+      assert.equal(element.label, null);
+      assert.deepEqual(element.options, {});
+      assert.equal(element.size, 10);
+    });
+
+  it('reflects properties to attributes when it renders', async () => {
+    const element = document.createElement('test-reflected-properties');
+    document.body.append(element);
+    const options = { unit: 'px' };
+    try {
+      element.checked = true;
+      element.label = 'Size';
+      element.options = options;
+      element.size = 12.5;
+      await flush();
+      assert.equal(element.getAttribute('checked'), '');
+      assert.equal(element.getAttribute('label'), 'Size');
+      assert.equal(element.getAttribute('options'), '{"unit":"px"}');
+      assert.equal(element.getAttribute('size'), '12.5');
+
+      element.checked = false;
+      element.label = null;
+      await flush();
+      assert.equal(element.hasAttribute('checked'), false);
+      assert.equal(element.hasAttribute('label'), false);
+      // Writing the attributes didn't set the properties from them again.
+      assert.equal(element.checked, false);
+      assert.equal(element.options, options);
+    } finally {
+      element.remove();
+    }
+  });
+});
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { installWindow } from './dom.js';
+
+installWindow();
+const internal = await import('../progression/008/internal.js');
+await import('../progression/008/SpinBox.js');
+
+// Detach the element from the page and attach it again, the given number of
+// times.
+function reattach(element, times) {
+  for (let i = 0; i < times; i++) {
+    element.remove();
+    document.body.append(element);
+  }
+}
+
+function pointerEvent(type) {
+  return new MouseEvent(type, { bubbles: true, button: 0 });
+}
+
+afterEach(() => {
+  mock.timers.reset();
+  document.body.innerHTML = '';
+});
+
+describe('progression 008: ConnectionSignalMixin', () => {
+  it('gives each connection a signal of its own', () => {
+    const spinBox = document.createElement('spin-box');
+    assert.equal(spinBox[internal.connectionSignal], null);
+    const signals = [];
+    for (let i = 0; i < 5; i++) {
+      document.body.append(spinBox);
+      signals.push(spinBox[internal.connectionSignal]);
+      spinBox.remove();
+    }
+    assert.equal(new Set(signals).size, 5);
+    assert.ok(signals.every((signal) => signal.aborted));
+    assert.equal(spinBox[internal.connectionSignal], null);
+  });
+
+  it('repeats a press once per tick after being reattached', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    document.body.innerHTML = '<spin-box max="1000"></spin-box>';
+    const spinBox = document.body.firstElementChild;
+    reattach(spinBox, 5);
+
+    // A press steps once, then repeats after 500ms, then after 200ms, and
+    // so on, faster each time. Listeners bound once per connection would
+    // step once per connection instead.
+    const upButton = spinBox[internal.ids].upButton;
+    upButton.dispatchEvent(pointerEvent('pointerdown'));
+    assert.equal(spinBox.value, 1);
+    mock.timers.tick(500);
+    assert.equal(spinBox.value, 2);
+    mock.timers.tick(200);
+    assert.equal(spinBox.value, 3);
+    mock.timers.tick(160);
+    assert.equal(spinBox.value, 4);
+    upButton.dispatchEvent(pointerEvent('pointerup'));
+    mock.timers.tick(5000);
+    assert.equal(spinBox.value, 4);
+  });
+
+  it('stops repeating when detached', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    document.body.innerHTML = '<spin-box max="1000"></spin-box>';
+    const spinBox = document.body.firstElementChild;
+    reattach(spinBox, 5);
+    const events = [];
+    spinBox.addEventListener('input', () => events.push('input'));
+    spinBox.addEventListener('change', () => events.push('change'));
+
+    spinBox[internal.ids].upButton.dispatchEvent(
+      pointerEvent('pointerdown')
+    );
+    mock.timers.tick(500);
+    spinBox.remove();
+    const value = spinBox.value;
+    assert.equal(value, 2);
+
+    // Let the events for the steps so far go out.
+    await Promise.resolve();
+    await Promise.resolve();
+    events.length = 0;
+
+    mock.timers.tick(10000);
+    window.dispatchEvent(new Event('blur'));
+    await Promise.resolve();
+    await Promise.resolve();
+    assert.equal(spinBox.value, value);
+    assert.deepEqual(events, []);
+  });
+});
@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { captureLogs, installWindow, readStepFile } from './dom.js';
+
+// The 006 and 007 steps take their template from their page.
+installWindow(readStepFile('007', 'index.html'));
+const { define } = await import('../progression/008/define.js');
+
+describe('progression 008: define', () => {
+  it('lets several steps of the progression load on one page', async () => {
+    await captureLogs(async () => {
+      await import('../progression/006/SpinBox.js');
+      await import('../progression/007/SpinBox.js');
+      await import('../progression/008/SpinBox.js');
+    });
+    const spinBox008 = customElements.get('spin-box-008');
+    assert.ok(spinBox008);
+    assert.notEqual(customElements.get('spin-box'), spinBox008);
+  });
+
+  it('defines a class under a second name as an alias', () => {
+    class TestElement extends HTMLElement {}
+    assert.equal(define('test-element', TestElement), true);
+    assert.equal(define('test-element-alias', TestElement), true);
+    const alias = customElements.get('test-element-alias');
+    assert.notEqual(alias, TestElement);
+    assert.ok(alias.prototype instanceof TestElement);
+  });
+
+  it('leaves a name another class has taken alone', () => {
+    class OtherElement extends HTMLElement {}
+    assert.equal(define('spin-box', OtherElement), false);
+    assert.equal(define('spin-box-008', OtherElement), false);
+  });
+});
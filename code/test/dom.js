@@ -0,0 +1,79 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { installGlobals } from '../progression/008/ssr.js';
+
+/**
+ * Helpers for running the code samples in Node, in jsdom's DOM rather than
+ * a browser's.
+ *
+ * Node runs each test file in a process of its own, so a test file can
+ * make one window's DOM the global one and import the modules it tests,
+ * without the custom elements it defines colliding with another file's.
+ */
+
+// The window globals the tests use in addition to the ones the samples
+// use, which installGlobals installs.
+const testGlobalNames = ['KeyboardEvent', 'MouseEvent'];
+
+/**
+ * Create a window with the given page, and make its DOM the global one, as
+ * it is in a browser. Modules that define components can only be imported
+ * after this, since defining a component needs HTMLElement and
+ * customElements.
+ */
+export function installWindow(html = '') {
+  const { window } = new JSDOM(html);
+  installGlobals(window);
+  testGlobalNames.forEach((name) => {
+    globalThis[name] = window[name];
+  });
+  return window;
+}
+
+/**
+ * Load one of the progression steps that are classic scripts (001 to 005)
+ * into a window of its own, with the step's index.html as the page, as a
+ * browser would. Returns the window and the messages the script logged.
+ */
+export function loadClassicStep(step) {
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('log', (message) => logs.push(message));
+  const { window } = new JSDOM(readStepFile(step, 'index.html'), {
+    runScripts: 'outside-only',
+    virtualConsole
+  });
+  window.eval(readStepFile(step, 'SpinBox.js'));
+  return { logs, window };
+}
+
+/**
+ * Return the text of a file in one of the progression steps.
+ */
+export function readStepFile(step, fileName) {
+  const url = new URL(`../progression/${step}/${fileName}`, import.meta.url);
+  return readFileSync(url, 'utf8');
+}
+
+/**
+ * Call the function, and return what it logged with console.log.
+ */
+export async function captureLogs(callback) {
+  const logs = [];
+  const log = console.log;
+  console.log = (message) => logs.push(message);
+  try {
+    await callback();
+  } finally {
+    console.log = log;
+  }
+  return logs;
+}
+
+/**
+ * Wait for the renders, events and other work the components have queued
+ * as microtasks.
+ */
+export function flush() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { captureLogs, installWindow, readStepFile } from './dom.js';
+
+/**
+ * Describe the tests for a progression step that shares its shadow DOM code
+ * through ShadowHelperMixin (006 and 007). Those steps' modules define
+ * "spin-box" when they're imported, so each step's tests run in a test file
+ * of its own.
+ */
+export function describeMixinStep(step) {
+  describe(`progression ${step}: SpinBox`, () => {
+    let spinBox;
+    let upgradeLogs;
+
+    it('upgrades the page\'s spin-box, rendering it from the template',
+      async () => {
+        installWindow(readStepFile(step, 'index.html'));
+        upgradeLogs = await captureLogs(() =>
+          import(`../progression/${step}/SpinBox.js`)
+        );
+        spinBox = document.querySelector('spin-box');
+        assert.deepEqual(upgradeLogs, [
+          'SpinBox constructor called',
+          'SpinBox added to page: connectedCallback',
+          'SpinBox componentFirstRender called'
+        ]);
+        const root = spinBox.shadowRoot;
+        assert.ok(root.querySelector('style'));
+        assert.ok(root.getElementById('upButton'));
+        assert.ok(root.getElementById('downButton'));
+        assert.equal(root.getElementById('input').value, '0');
+      });
+
+    it('only stamps the template on the first render', async () => {
+      const logs = await captureLogs(() => {
+        spinBox.value = 3;
+        spinBox.value = 4;
+      });
+      assert.deepEqual(logs, []);
+      assert.equal(spinBox.shadowRoot.querySelectorAll('input').length, 1);
+      assert.equal(spinBox.shadowRoot.getElementById('input').value, '4');
+    });
+
+    it('renders changes to the value attribute', async () => {
+      await captureLogs(() => spinBox.setAttribute('value', '7'));
+      assert.equal(spinBox.value, 7);
+      assert.equal(spinBox.shadowRoot.getElementById('input').value, '7');
+    });
+
+    it('steps the value with the buttons', () => {
+      const root = spinBox.shadowRoot;
+      const mousedown = () => new MouseEvent('mousedown');
+      root.getElementById('upButton').dispatchEvent(mousedown());
+      root.getElementById('downButton').dispatchEvent(mousedown());
+      root.getElementById('downButton').dispatchEvent(mousedown());
+      assert.equal(spinBox.value, 6);
+      assert.equal(root.getElementById('input').value, '6');
+    });
+  });
+}
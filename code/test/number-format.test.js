@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createNumberFormat } from '../progression/008/numberFormat.js';
+
+describe('progression 008: numberFormat', () => {
+  it('formats and parses numbers for the locale', () => {
+    const numberFormat = createNumberFormat('de-DE', { fractionDigits: 2 });
+    assert.equal(numberFormat.format(1234.5), '1.234,50');
+    assert.equal(numberFormat.parse('1.234,5'), 1234.5);
+    assert.equal(numberFormat.parse(''), null);
+    assert.ok(Number.isNaN(numberFormat.parse('abc')));
+  });
+
+  it('parses percentages without floating point errors', () => {
+    const numberFormat = createNumberFormat('en-US', {
+      fractionDigits: 1,
+      style: 'percent'
+    });
+    assert.equal(numberFormat.format(0.011), '1.1%');
+    assert.equal(numberFormat.parse('1.1%'), 0.011);
+    assert.equal(numberFormat.parse('57.3'), 0.573);
+  });
+
+  it('falls back to plain numbers for options it can\'t use', () => {
+    const numberFormat = createNumberFormat('en-US', {
+      currency: 'not a currency',
+      fractionDigits: 2,
+      style: 'currency'
+    });
+    assert.equal(numberFormat.parse(numberFormat.format(1.5)), 1.5);
+  });
+
+  it('falls back for a number of decimal places out of range', () => {
+    [NaN, -1, 200].forEach((fractionDigits) => {
+      const numberFormat = createNumberFormat('en-US', { fractionDigits });
+      assert.equal(numberFormat.parse(numberFormat.format(2)), 2);
+    });
+  });
+});
@@ -0,0 +1,3 @@
+import { describeMixinStep } from './mixin-steps.js';
+
+describeMixinStep('007');
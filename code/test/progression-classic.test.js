@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadClassicStep } from './dom.js';
+
+// The progression steps that load SpinBox.js as a classic script. Each is
+// loaded into a window of its own, so each can define "spin-box".
+const steps = ['001', '001-a', '002', '003', '004', '005'];
+
+steps.forEach((step) => {
+  describe(`progression ${step}: SpinBox`, () => {
+    it('upgrades the page\'s spin-box and renders its shadow tree', () => {
+      const { logs, window } = loadClassicStep(step);
+      const spinBox = window.document.querySelector('spin-box');
+      // The browser passes the element's attributes to the new component
+      // before connecting it. Later steps log more as they render.
+      const valueAttribute = spinBox.getAttribute('value');
+      const expected = [
+        'SpinBox constructor called',
+        ...(valueAttribute !== null ?
+          ['SpinBox attributes changed: attributeChangedCallback'] :
+          []),
+        'SpinBox added to page: connectedCallback'
+      ];
+      assert.deepEqual(logs.slice(0, expected.length), expected);
+      const root = spinBox.shadowRoot;
+      assert.ok(root);
+      assert.ok(root.getElementById('upButton'));
+      assert.ok(root.getElementById('downButton'));
+      assert.equal(root.getElementById('input').value,
+        valueAttribute !== null ? valueAttribute : '0');
+    });
+
+    it('renders changes to the value attribute', () => {
+      const { logs, window } = loadClassicStep(step);
+      const spinBox = window.document.querySelector('spin-box');
+      spinBox.setAttribute('value', '5');
+      assert.equal(logs.at(-1),
+        'SpinBox attributes changed: attributeChangedCallback');
+      assert.equal(spinBox.shadowRoot.getElementById('input').value, '5');
+    });
+
+    it('steps the value with the buttons', () => {
+      const { window } = loadClassicStep(step);
+      const spinBox = window.document.querySelector('spin-box');
+      spinBox.setAttribute('value', '5');
+      const root = spinBox.shadowRoot;
+      const mousedown = () => new window.MouseEvent('mousedown');
+      root.getElementById('upButton').dispatchEvent(mousedown());
+      root.getElementById('upButton').dispatchEvent(mousedown());
+      root.getElementById('downButton').dispatchEvent(mousedown());
+      assert.equal(root.getElementById('input').value, '6');
+    });
+
+    it('logs being removed from the page', () => {
+      const { logs, window } = loadClassicStep(step);
+      window.document.querySelector('spin-box').remove();
+      assert.equal(logs.at(-1),
+        'SpinBox removed from page: disconnectedCallback');
+    });
+  });
+});
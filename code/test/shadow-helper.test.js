@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { flush, installWindow } from './dom.js';
+
+installWindow();
+const internal = await import('../progression/008/internal.js');
+const { ReactiveMixin } = await import('../progression/008/ReactiveMixin.js');
+const { ShadowHelperMixin } =
+  await import('../progression/008/ShadowHelperMixin.js');
+const { bind, html } = await import('../progression/008/template.js');
+
+// A component that counts the times it's asked for its template, and the
+// "input" events on its input.
+let templateRequests = 0;
+class TestCounter extends ReactiveMixin(ShadowHelperMixin(HTMLElement)) {
+  get [internal.defaultState]() {
+    return Object.assign(super[internal.defaultState], { count: 0 });
+  }
+
+  [internal.handleInputInput]() {
+    this[internal.setState]({ count: this[internal.state].count + 1 });
+  }
+
+  [internal.render](changed) {
+    super[internal.render](changed);
+    this[internal.renderHelper](changed);
+  }
+
+  get [internal.styles]() {
+    return '#count { color: gray; }';
+  }
+
+  get [internal.template]() {
+    templateRequests++;
+    return html`
+      <span id="count">${bind('count', String)}</span>
+      <input id="input" data-on-input="handleInputInput">
+    `;
+  }
+}
+customElements.define('test-counter', TestCounter);
+
+// A component whose template names a handler it doesn't have.
+class TestMissingHandler extends ReactiveMixin(ShadowHelperMixin(HTMLElement)) {
+  [internal.render](changed) {
+    super[internal.render](changed);
+    this[internal.renderHelper](changed);
+  }
+
+  get [internal.template]() {
+    return html`<button data-on-click="handleClick"></button>`;
+  }
+}
+customElements.define('test-missing-handler', TestMissingHandler);
+
+class ClosedCounter extends TestCounter {
+  get [internal.shadowRootOptions]() {
+    return Object.assign(super[internal.shadowRootOptions], {
+      mode: 'closed'
+    });
+  }
+}
+customElements.define('closed-counter', ClosedCounter);
+
+function typeInto(counter) {
+  counter[internal.ids].input.dispatchEvent(new Event('input'));
+}
+
+async function createElement(tagName) {
+  const element = document.createElement(tagName);
+  document.body.append(element);
+  await flush();
+  return element;
+}
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('progression 008: ShadowHelperMixin', () => {
+  it('stamps the template and finds its elements by id', async () => {
+    const counter = await createElement('test-counter');
+    const { count, input } = counter[internal.ids];
+    assert.equal(count.textContent, '0');
+    assert.equal(input.localName, 'input');
+    assert.equal(counter.shadowRoot, counter[internal.shadowRoot]);
+  });
+
+  it('asks a class for its template once', async () => {
+    await createElement('test-counter');
+    await createElement('test-counter');
+    assert.equal(templateRequests, 1);
+  });
+
+  it('calls the internal methods the template names for events',
+    async () => {
+      const counter = await createElement('test-counter');
+      typeInto(counter);
+      typeInto(counter);
+      await flush();
+      assert.equal(counter[internal.ids].count.textContent, '2');
+    });
+
+  it('says which handler the template names that it can\'t find', () => {
+    const element = document.createElement('test-missing-handler');
+    assert.throws(() => element[internal.renderChanges](), {
+      name: 'TypeError',
+      message: '<test-missing-handler>: the template\'s ' +
+        'data-on-click="handleClick" doesn\'t name an internal method the ' +
+        'component has.'
+    });
+  });
+
+  it('removes template listeners while disconnected', async () => {
+    const counter = await createElement('test-counter');
+    const { count } = counter[internal.ids];
+    counter.remove();
+    typeInto(counter);
+    assert.equal(counter[internal.state].count, 0);
+    document.body.append(counter);
+    typeInto(counter);
+    await flush();
+    assert.equal(count.textContent, '1');
+  });
+
+  it('applies the component\'s styles and theme styles', async () => {
+    TestCounter.addThemeStyles('#count { color: navy; }');
+    const counter = await createElement('test-counter');
+    const root = counter[internal.shadowRoot];
+    const cssText = root.adoptedStyleSheets ?
+      root.adoptedStyleSheets.map((sheet) =>
+        Array.from(sheet.cssRules).map((rule) => rule.cssText).join('')
+      ).join('') :
+      Array.from(root.querySelectorAll('style'))
+        .map((style) => style.textContent).join('');
+    assert.ok(cssText.indexOf('gray') < cssText.indexOf('navy'));
+  });
+
+  it('keeps a closed shadow root private', async () => {
+    const counter = await createElement('closed-counter');
+    assert.equal(counter.shadowRoot, null);
+    assert.equal(counter[internal.ids].count.textContent, '0');
+  });
+});
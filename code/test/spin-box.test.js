@@ -0,0 +1,401 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { flush, installWindow } from './dom.js';
+
+installWindow();
+const internal = await import('../progression/008/internal.js');
+const { lifecycleLog } =
+  await import('../progression/008/LifecycleTraceMixin.js');
+await import('../progression/008/SpinBox.js');
+
+// A custom element to use for SpinBox's buttons.
+class TestButton extends HTMLElement {}
+customElements.define('test-button', TestButton);
+
+// Add a spin-box with the given attributes to the page, and let it render.
+async function createSpinBox(attributes = '') {
+  document.body.innerHTML = `<spin-box ${attributes}></spin-box>`;
+  await flush();
+  return document.body.firstElementChild;
+}
+
+function pointerEvent(type) {
+  return new MouseEvent(type, { bubbles: true, button: 0 });
+}
+
+function pressKey(spinBox, key, options = {}) {
+  const event = new KeyboardEvent('keydown', Object.assign({
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    key
+  }, options));
+  spinBox[internal.ids].input.dispatchEvent(event);
+}
+
+// Type the text into the inner input, and optionally commit it.
+function typeText(spinBox, text, commit = true) {
+  const input = spinBox[internal.ids].input;
+  input.value = text;
+  input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  if (commit) {
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+}
+
+afterEach(() => {
+  document.body.innerHTML = '';
+  lifecycleLog.enabled = false;
+  lifecycleLog.clear();
+});
+
+describe('progression 008: SpinBox', () => {
+  it('goes through its life cycle in order', async () => {
+    lifecycleLog.enabled = true;
+    const spinBox = await createSpinBox('value="5"');
+    spinBox.remove();
+    const types = lifecycleLog.entries.map((entry) => entry.type);
+    assert.deepEqual(types, [
+      'constructor',
+      'attributeChanged',
+      'connected',
+      'firstRender',
+      // The first render reads what's in the slots into the state.
+      'render',
+      'disconnected'
+    ]);
+  });
+
+  it('stamps its template into its shadow root', async () => {
+    const spinBox = await createSpinBox();
+    const { downButton, input, upButton } = spinBox[internal.ids];
+    assert.equal(input.getAttribute('part'), 'input');
+    assert.equal(upButton.getAttribute('part'), 'button up-button');
+    assert.equal(downButton.getAttribute('part'), 'button down-button');
+    assert.equal(input.value, '0');
+    assert.equal(spinBox.getAttribute('role'), 'spinbutton');
+    assert.equal(spinBox.getAttribute('aria-valuenow'), '0');
+  });
+
+  it('keeps its internals off its public API', async () => {
+    const spinBox = await createSpinBox('value="5"');
+    pressKey(spinBox, 'ArrowUp');
+    await flush();
+    assert.deepEqual(Object.getOwnPropertyNames(spinBox), []);
+    for (
+      let proto = Object.getPrototypeOf(spinBox);
+      proto !== HTMLElement.prototype;
+      proto = Object.getPrototypeOf(proto)
+    ) {
+      const names = Object.getOwnPropertyNames(proto);
+      assert.deepEqual(names.filter((name) => name.startsWith('_')), []);
+    }
+  });
+
+  it('shows the prefix and suffix the page puts in its slots', async () => {
+    document.body.innerHTML =
+      '<spin-box><span slot="suffix">kg</span></spin-box>';
+    await flush();
+    const spinBox = document.body.firstElementChild;
+    const { prefix, suffix } = spinBox[internal.ids];
+    const { assignedNodes } = spinBox[internal.state];
+    assert.deepEqual(assignedNodes.suffix, [spinBox.firstElementChild]);
+    assert.deepEqual(assignedNodes.prefix, []);
+    assert.equal(suffix.hidden, false);
+    assert.equal(prefix.hidden, true);
+
+    lifecycleLog.enabled = true;
+    const currency = document.createElement('span');
+    currency.slot = 'prefix';
+    currency.textContent = '$';
+    spinBox.prepend(currency);
+    await flush();
+    assert.deepEqual(spinBox[internal.state].assignedNodes.prefix, [currency]);
+    assert.equal(prefix.hidden, false);
+    const renders = lifecycleLog.entries.filter(
+      (entry) => entry.type === 'render'
+    );
+    assert.deepEqual(renders.map((entry) => entry.detail.changed),
+      [['assignedNodes']]);
+  });
+
+  it('swaps in the part types the page chooses after rendering',
+    async () => {
+      const spinBox = await createSpinBox('value="5"');
+      const original = spinBox[internal.ids];
+      spinBox.inputPartType = 'textarea';
+      spinBox.buttonPartType = TestButton;
+      await flush();
+
+      const { downButton, input, upButton } = spinBox[internal.ids];
+      assert.notEqual(input, original.input);
+      assert.equal(input.localName, 'textarea');
+      assert.equal(input.id, 'input');
+      assert.equal(input.value, '5');
+      assert.ok(upButton instanceof TestButton);
+      assert.equal(upButton.id, 'upButton');
+      assert.equal(upButton.getAttribute('part'), 'button up-button');
+      assert.ok(downButton instanceof TestButton);
+
+      // The template's event handlers and the buttons' auto-repeat are
+      // hooked up to the new elements.
+      typeText(spinBox, '7');
+      assert.equal(spinBox.value, 7);
+      upButton.dispatchEvent(pointerEvent('pointerdown'));
+      upButton.dispatchEvent(pointerEvent('pointerup'));
+      assert.equal(spinBox.value, 8);
+    });
+
+  it('ignores part types it can\'t make elements of', async () => {
+    const spinBox = await createSpinBox();
+    spinBox.setAttribute('input-part-type', 'not a tag');
+    spinBox.inputPartType = 42;
+    spinBox.buttonPartType = class extends HTMLElement {};
+    await flush();
+    assert.equal(spinBox.inputPartType, 'input');
+    assert.equal(spinBox.buttonPartType, 'button');
+    assert.equal(spinBox[internal.ids].input.localName, 'input');
+  });
+
+  it('shares theme styles with every tag name it\'s defined as',
+    async () => {
+      const alias = customElements.get('spin-box');
+      assert.notEqual(alias, customElements.get('spin-box-008'));
+      alias.addThemeStyles('#input { color: navy; }');
+      document.body.innerHTML = '<spin-box-008></spin-box-008>';
+      await flush();
+      const root = document.body.firstElementChild[internal.shadowRoot];
+      const cssText = Array.from(root.querySelectorAll('style'))
+        .map((style) => style.textContent)
+        .join('');
+      assert.match(cssText, /color: navy/);
+    });
+
+  it('renders several changes in a row once', async () => {
+    const spinBox = await createSpinBox();
+    lifecycleLog.enabled = true;
+    spinBox.max = 10;
+    spinBox.value = 3;
+    spinBox.value = 4;
+    await flush();
+    const renders = lifecycleLog.entries.filter(
+      (entry) => entry.type === 'render'
+    );
+    assert.equal(renders.length, 1);
+    assert.deepEqual(renders[0].detail.changed.sort(), ['max', 'value']);
+    assert.equal(spinBox[internal.ids].input.value, '4');
+  });
+
+  it('doesn\'t render when nothing changed', async () => {
+    const spinBox = await createSpinBox('value="2"');
+    lifecycleLog.enabled = true;
+    spinBox.value = 2;
+    await flush();
+    assert.equal(lifecycleLog.entries.length, 0);
+  });
+
+  it('converts attributes to typed properties', async () => {
+    const spinBox = await createSpinBox(
+      'value="1.5" min="0" max="10" step="0.5" wrap'
+    );
+    assert.equal(spinBox.value, 1.5);
+    assert.equal(spinBox.min, 0);
+    assert.equal(spinBox.max, 10);
+    assert.equal(spinBox.step, 0.5);
+    assert.equal(spinBox.wrap, true);
+    spinBox.removeAttribute('wrap');
+    assert.equal(spinBox.wrap, false);
+  });
+
+  it('drops a bound when its attribute is removed', async () => {
+    const spinBox = await createSpinBox('max="10"');
+    spinBox.removeAttribute('max');
+    assert.equal(spinBox.max, null);
+    spinBox.value = 12;
+    assert.equal(spinBox.value, 12);
+    await flush();
+    assert.equal(spinBox.hasAttribute('aria-valuemax'), false);
+  });
+
+  it('uses the page\'s language once its locale is removed', async () => {
+    document.documentElement.lang = 'de-DE';
+    try {
+      const spinBox = await createSpinBox(
+        'locale="en-US" value="1.5" precision="1"'
+      );
+      spinBox.removeAttribute('locale');
+      await flush();
+      assert.equal(spinBox.locale, null);
+      assert.equal(spinBox[internal.ids].input.value, '1,5');
+    } finally {
+      document.documentElement.removeAttribute('lang');
+    }
+  });
+
+  it('uses the language of a shadow tree\'s host', async () => {
+    document.body.innerHTML = '<div lang="de-DE"><div></div></div>';
+    const host = document.body.querySelector('div > div');
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = '<spin-box value="1.5" precision="1"></spin-box>';
+    await flush();
+    const spinBox = root.querySelector('spin-box');
+    assert.equal(spinBox[internal.ids].input.value, '1,5');
+  });
+
+  it('ignores values that aren\'t numbers', async () => {
+    const spinBox = await createSpinBox('value="5"');
+    [undefined, true, {}, NaN, Infinity, 'abc', '-Infinity'].forEach(
+      (value) => {
+        spinBox.value = value;
+        assert.equal(spinBox.value, 5);
+      }
+    );
+    spinBox.value = null;
+    assert.equal(spinBox.value, null);
+  });
+
+  it('keeps the value within its bounds', async () => {
+    const spinBox = await createSpinBox('min="0" max="10"');
+    spinBox.value = 12;
+    assert.equal(spinBox.value, 10);
+    spinBox.setAttribute('value', '-3');
+    assert.equal(spinBox.value, 0);
+    spinBox.value = 5;
+    spinBox.max = 4;
+    assert.equal(spinBox.value, 4);
+    await flush();
+    assert.equal(spinBox[internal.ids].upButton.disabled, true);
+  });
+
+  it('ignores constraints that aren\'t valid', async () => {
+    const spinBox = await createSpinBox(
+      'value="5" min="0" max="10" step="1" precision="1"'
+    );
+    spinBox.setAttribute('min', 'abc');
+    spinBox.setAttribute('max', 'abc');
+    spinBox.setAttribute('step', '0');
+    spinBox.setAttribute('precision', 'abc');
+    spinBox.precision = -1;
+    spinBox.precision = 1.5;
+    assert.equal(spinBox.min, 0);
+    assert.equal(spinBox.max, 10);
+    assert.equal(spinBox.step, 1);
+    assert.equal(spinBox.precision, 1);
+    assert.equal(spinBox.value, 5);
+    await flush();
+    assert.equal(spinBox.getAttribute('aria-valuemin'), '0');
+    assert.equal(spinBox[internal.ids].input.value, '5.0');
+  });
+
+  it('steps the value with the keyboard', async () => {
+    const spinBox = await createSpinBox('value="5" min="0" max="100"');
+    pressKey(spinBox, 'ArrowUp');
+    assert.equal(spinBox.value, 6);
+    pressKey(spinBox, 'PageDown');
+    assert.equal(spinBox.value, 0);
+    pressKey(spinBox, 'End');
+    assert.equal(spinBox.value, 100);
+  });
+
+  it('raises input and change events for the user\'s changes only',
+    async () => {
+      const spinBox = await createSpinBox();
+      const events = [];
+      spinBox.addEventListener('input', () => events.push('input'));
+      spinBox.addEventListener('change', () => events.push('change'));
+      spinBox.value = 3;
+      await flush();
+      assert.deepEqual(events, []);
+      pressKey(spinBox, 'ArrowUp');
+      await flush();
+      assert.deepEqual(events, ['input', 'change']);
+    });
+
+  it('reads and reverts the text the user types', async () => {
+    const spinBox = await createSpinBox('value="2" precision="2"');
+    typeText(spinBox, '3.25');
+    assert.equal(spinBox.value, 3.25);
+    typeText(spinBox, 'abc');
+    assert.equal(spinBox.value, 3.25);
+    assert.equal(spinBox[internal.ids].input.value, '3.25');
+  });
+
+  it('rounds the value to the precision it shows', async () => {
+    const spinBox = await createSpinBox('step="1"');
+    typeText(spinBox, '1.2345');
+    assert.equal(spinBox.value, 1);
+    assert.equal(spinBox[internal.ids].input.value, '1');
+    spinBox.stepUp();
+    assert.equal(spinBox.value, 2);
+  });
+
+  it('formats the value for its locale', async () => {
+    const spinBox = await createSpinBox(
+      'locale="de-DE" value="1234.5" precision="1"'
+    );
+    assert.equal(spinBox[internal.ids].input.value, '1.234,5');
+    typeText(spinBox, '2,5');
+    assert.equal(spinBox.value, 2.5);
+  });
+
+  it('keeps the values the user commits in range', async () => {
+    const spinBox = await createSpinBox('min="0" max="10"');
+    typeText(spinBox, '25');
+    assert.equal(spinBox.value, 10);
+    assert.equal(spinBox[internal.ids].input.value, '10');
+    assert.deepEqual(spinBox[internal.validate]().flags, {});
+  });
+
+  it('reports a value that can\'t be within its bounds', async () => {
+    const spinBox = await createSpinBox('value="5" min="0" max="10"');
+    spinBox.min = 12;
+    assert.equal(spinBox.value, 12);
+    assert.deepEqual(spinBox[internal.validate](), {
+      flags: { rangeOverflow: true },
+      message: 'Value must be 10 or less.'
+    });
+    spinBox.max = 20;
+    assert.deepEqual(spinBox[internal.validate]().flags, {});
+  });
+
+  it('reports a missing value when it\'s required', async () => {
+    const spinBox = await createSpinBox('required');
+    spinBox.value = '';
+    assert.equal(spinBox.value, null);
+    assert.deepEqual(spinBox[internal.validate]().flags,
+      { valueMissing: true });
+  });
+
+  it('undoes and redoes the user\'s changes', async () => {
+    const spinBox = await createSpinBox('value="5"');
+    pressKey(spinBox, 'ArrowUp');
+    await flush();
+    pressKey(spinBox, 'ArrowUp');
+    await flush();
+    assert.equal(spinBox.value, 7);
+    pressKey(spinBox, 'z', { ctrlKey: true });
+    await flush();
+    assert.equal(spinBox.value, 6);
+    pressKey(spinBox, 'y', { ctrlKey: true });
+    await flush();
+    assert.equal(spinBox.value, 7);
+  });
+
+  it('keeps the values it undoes to within its bounds', async () => {
+    const spinBox = await createSpinBox('value="5" step="0.5"');
+    pressKey(spinBox, 'ArrowDown');
+    await flush();
+    pressKey(spinBox, 'ArrowDown');
+    await flush();
+    assert.equal(spinBox.value, 4);
+    spinBox.max = 4.5;
+    assert.equal(spinBox.canUndo, true);
+    pressKey(spinBox, 'z', { ctrlKey: true });
+    await flush();
+    assert.equal(spinBox.value, 4.5);
+    pressKey(spinBox, 'z', { ctrlKey: true });
+    await flush();
+    assert.equal(spinBox.value, 4.5);
+    assert.equal(spinBox[internal.ids].input.value, '4.5');
+  });
+});
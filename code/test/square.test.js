@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { flush, installWindow } from './dom.js';
+
+installWindow('<custom-square square-size="50"></custom-square>');
+const internal = await import('../progression/008/internal.js');
+const { lifecycleLog } =
+  await import('../progression/008/LifecycleTraceMixin.js');
+
+// Trace the upgrade of the square already in the page, as main.js does.
+lifecycleLog.enabled = true;
+await import('../samples/life-cycle/Square.js');
+const upgradeEntries = lifecycleLog.entries;
+
+afterEach(() => {
+  lifecycleLog.clear();
+});
+
+describe('life-cycle sample: Square', () => {
+  it('upgrades the square in the page in life cycle order', () => {
+    const types = upgradeEntries.map((entry) => entry.type);
+    assert.deepEqual(types, [
+      'constructor',
+      'attributeChanged',
+      'connected',
+      'firstRender'
+    ]);
+    assert.deepEqual(upgradeEntries[1].detail, {
+      name: 'square-size',
+      newValue: '50',
+      oldValue: null
+    });
+  });
+
+  it('renders its state into its shadow tree', () => {
+    const square = document.querySelector('custom-square');
+    const element = square[internal.shadowRoot].getElementById('square');
+    assert.equal(square.squareSize, 50);
+    assert.equal(element.getAttribute('part'), 'square');
+    assert.equal(element.style.width, '50px');
+    assert.equal(element.style.height, '50px');
+  });
+
+  it('renders attribute and property changes together', async () => {
+    const square = document.querySelector('custom-square');
+    square.setAttribute('square-color', 'red');
+    square.squareSize = 80;
+    await flush();
+    const renders = lifecycleLog.entries.filter(
+      (entry) => entry.type === 'render'
+    );
+    assert.equal(renders.length, 1);
+    assert.deepEqual(renders[0].detail.changed.sort(),
+      ['squareColor', 'squareSize']);
+    const element = square[internal.shadowRoot].getElementById('square');
+    assert.equal(element.style.backgroundColor, 'red');
+    assert.equal(element.style.width, '80px');
+  });
+
+  it('leaves the size and color to its styles by default', async () => {
+    const square = document.createElement('custom-square');
+    document.body.append(square);
+    await flush();
+    const element = square[internal.shadowRoot].getElementById('square');
+    assert.equal(square.squareSize, null);
+    assert.equal(square.squareColor, null);
+    assert.equal(element.style.width, '');
+    assert.equal(element.style.backgroundColor, '');
+  });
+
+  it('renders again when added back to the page', async () => {
+    const square = document.querySelector('custom-square');
+    const element = square[internal.shadowRoot].getElementById('square');
+    const width = element.style.width;
+    square.remove();
+    square.squareSize = 120;
+    await flush();
+    assert.equal(element.style.width, width);
+    document.body.append(square);
+    const types = lifecycleLog.entries.map((entry) => entry.type);
+    assert.deepEqual(types, ['disconnected', 'connected', 'render']);
+    assert.equal(element.style.width, '120px');
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { flush, installWindow } from './dom.js';
+
+installWindow();
+const internal = await import('../progression/008/internal.js');
+const { ReactiveMixin } = await import('../progression/008/ReactiveMixin.js');
+const { ShadowHelperMixin } =
+  await import('../progression/008/ShadowHelperMixin.js');
+const { renderToString } = await import('../progression/008/ssr.js');
+const { bind, html } = await import('../progression/008/template.js');
+await import('../progression/008/SpinBox.js');
+
+// A component with a closed shadow root.
+class ClosedGreeting extends ReactiveMixin(ShadowHelperMixin(HTMLElement)) {
+  get [internal.defaultState]() {
+    return Object.assign(super[internal.defaultState], { name: 'world' });
+  }
+
+  [internal.render](changed) {
+    super[internal.render](changed);
+    this[internal.renderHelper](changed);
+  }
+
+  get [internal.shadowRootOptions]() {
+    return Object.assign(super[internal.shadowRootOptions], {
+      mode: 'closed'
+    });
+  }
+
+  get [internal.template]() {
+    return html`<span id="name">${bind('name')}</span>`;
+  }
+}
+customElements.define('closed-greeting', ClosedGreeting);
+
+// Return the contents of the shadow root template in the markup.
+function shadowContent(markup) {
+  const match = /<template shadowrootmode="\w+"[^>]*>(.*)<\/template>/s
+    .exec(markup);
+  return match[1];
+}
+
+describe('progression 008: ssr', () => {
+  it('renders a component\'s shadow tree as a declarative shadow root',
+    () => {
+      const markup = renderToString('spin-box', { value: '5', max: '10' });
+      assert.match(markup, /^<spin-box value="5" max="10"[^>]*>/);
+      assert.match(markup,
+        /<template shadowrootmode="open" shadowrootdelegatesfocus><style>/);
+      assert.match(markup, /<input id="input" part="input"[^>]* value="5">/);
+      assert.match(markup, /<\/template><\/spin-box>$/);
+    });
+
+  it('renders a closed shadow root as closed', () => {
+    const markup = renderToString('closed-greeting');
+    assert.match(markup,
+      /^<closed-greeting><template shadowrootmode="closed">/);
+    assert.match(shadowContent(markup), /<span id="name">world<\/span>/);
+  });
+
+  it('hydrates a closed shadow root the server rendered', async () => {
+    const serverContent = shadowContent(renderToString('closed-greeting'));
+
+    // jsdom doesn't make shadow roots from templates in HTML, so the
+    // component attaches the root a browser would have made from the
+    // server's markup as it's upgraded. A component with a closed root
+    // has to attach its internals for its root to be found.
+    let serverRoot;
+    class ServerGreeting extends ClosedGreeting {
+      constructor() {
+        super();
+        this.attachInternals();
+        serverRoot = this.attachShadow({ mode: 'closed' });
+        serverRoot.innerHTML = serverContent;
+      }
+    }
+    document.body.innerHTML = '<server-greeting></server-greeting>';
+    customElements.define('server-greeting', ServerGreeting);
+    const greeting = document.body.firstElementChild;
+    const span = serverRoot.getElementById('name');
+
+    assert.equal(greeting.shadowRoot, null);
+    assert.equal(greeting[internal.shadowRoot], serverRoot);
+    assert.equal(greeting[internal.ids].name, span);
+    greeting[internal.setState]({ name: 'there' });
+    await flush();
+    assert.equal(span.textContent, 'there');
+  });
+
+  it('leaves a closed component\'s internals for it to attach', () => {
+    document.body.innerHTML = '<closed-greeting></closed-greeting>';
+    const greeting = document.body.firstElementChild;
+    assert.ok(greeting[internal.ids].name);
+    assert.doesNotThrow(() => greeting.attachInternals());
+  });
+});
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { flush, installWindow } from './dom.js';
+
+// A page whose component scripts load lazily can set properties on the
+// components' elements before the components are defined. The elements
+// are plain HTMLElements then, so the properties are ordinary ones.
+installWindow(`
+  <spin-box value="3" max="20"></spin-box>
+  <custom-square square-size="50"></custom-square>
+`);
+const spinBox = document.querySelector('spin-box');
+spinBox.value = 25;
+spinBox.max = 30;
+const square = document.querySelector('custom-square');
+square.squareSize = 80;
+
+const internal = await import('../progression/008/internal.js');
+await import('../progression/008/SpinBox.js');
+await import('../samples/life-cycle/Square.js');
+await flush();
+
+describe('progression 008: upgrading elements', () => {
+  it('passes properties set beforehand to the component\'s setters', () => {
+    assert.equal(Object.hasOwn(spinBox, 'value'), false);
+    assert.equal(Object.hasOwn(spinBox, 'max'), false);
+    assert.equal(Object.hasOwn(square, 'squareSize'), false);
+    assert.equal(spinBox[internal.ids].input.value, '25');
+    const element = square[internal.shadowRoot].getElementById('square');
+    assert.equal(element.style.width, '80px');
+  });
+
+  it('lets a property set beforehand win over its attribute', () => {
+    assert.equal(spinBox.value, 25);
+    assert.equal(spinBox.max, 30);
+    assert.equal(square.squareSize, 80);
+  });
+
+  it('goes back to using the attributes once upgraded', () => {
+    spinBox.setAttribute('max', '10');
+    assert.equal(spinBox.max, 10);
+    assert.equal(spinBox.value, 10);
+    square.setAttribute('square-size', '60');
+    assert.equal(square.squareSize, 60);
+  });
+});